@@ -1,3 +1,8 @@
+import { isThenable, chain } from './Thenable.js';
+import { validation } from './Aspects.js';
+
+export { ArgumentValidationError } from './Aspects.js';
+
 /**
  * Aspect-Oriented Programming (AOP) Toolkit class.
  * Provides static methods to apply cross-cutting concerns
@@ -8,48 +13,55 @@
  * that you want to apply at a certain point of execution in your program,
  * such as before, after, or around a target function. Advices can be used
  * to execute code for logging, security checks, performance monitoring, and more.
+ *
+ * Every advice type understands asynchronous code: when the target function or the advice returns a Promise
+ * (or any thenable), the wrapper waits for it, so advice sees resolved values and rejections rather than pending Promises.
  */
 export class AOPToolkit {
 
     /**
      * Creates a function that executes the specified advice before the target function.
      * This is useful for actions that need to happen prior to the main logic, such as logging or pre-validation.
+     * If the advice returns a Promise, the target function is called once it resolves, and not at all if it rejects.
      * @param {Function} targetFunction - The original function to wrap.
      * @param {Function} advice - The advice function to execute before the target function.
      * @returns {Function} A new function that first executes the advice, then the target function.
      */
     static before(targetFunction, advice) {
         return function(...args) {
-            advice.apply(this, args);
-            return targetFunction.apply(this, args);
+            return chain(advice.apply(this, args), () => targetFunction.apply(this, args));
         };
     }
 
     /**
      * Creates a function that executes the specified advice after the target function.
      * This can be used for actions that should occur after the main logic, such as post-execution logging or cleanup.
+     * If the target function returns a Promise, the advice runs once it resolves. If the advice returns a Promise,
+     * the wrapper resolves to the target's result once the advice has finished.
      * @param {Function} targetFunction - The original function to wrap.
      * @param {Function} advice - The advice function to execute after the target function.
      * @returns {Function} A new function that first executes the target function, then the advice.
      */
     static after(targetFunction, advice) {
         return function(...args) {
-            const result = targetFunction.apply(this, args);
-            advice.apply(this, args);
-            return result;
+            return chain(targetFunction.apply(this, args), (result) => chain(advice.apply(this, args), () => result));
         };
     }
 
     /**
      * Creates a function that allows the advice to wrap around the target function.
      * The advice controls when and whether the target function is called, enabling more complex behaviors.
+     * Besides the target function and its arguments, the advice receives a proceed function that calls the target
+     * with the original `this` and either new arguments or, if none are given, the original ones.
+     * An async advice can await proceed() to wrap asynchronous targets.
      * @param {Function} targetFunction - The original function to wrap.
      * @param {Function} advice - The advice function that wraps around the target function.
      * @returns {Function} A new function that delegates control to the advice function.
      */
     static around(targetFunction, advice) {
         return function(...args) {
-            return advice.call(this, targetFunction, args);
+            const proceed = (...newArgs) => targetFunction.apply(this, newArgs.length > 0 ? newArgs : args);
+            return advice.call(this, targetFunction, args, proceed);
         };
     }
 
@@ -57,33 +69,58 @@ export class AOPToolkit {
      * Creates a function that executes the specified advice after the target function,
      * but only if the target function successfully returns a value.
      * This is typically used for post-processing results or conditional logging.
+     * If the target function returns a Promise, the advice receives its resolved value, and does not run if it rejects.
      * @param {Function} targetFunction - The original function to wrap.
      * @param {Function} advice - The advice function to execute after the target function returns.
      * @returns {Function} A new function that executes the target function and then the advice if no error was thrown.
      */
     static afterReturning(targetFunction, advice) {
         return function(...args) {
-            const result = targetFunction.apply(this, args);
-            advice.apply(this, [result, ...args]);
-            return result;
+            return chain(targetFunction.apply(this, args), (result) => chain(advice.apply(this, [result, ...args]), () => result));
         };
     }
 
     /**
      * Creates a function that executes the specified advice when the target function throws an error.
      * This is useful for centralized error handling that can be applied across multiple functions.
+     * If the target function returns a Promise, the advice also runs when it rejects. If the advice returns a Promise,
+     * the error is rethrown once it has finished.
      * @param {Function} targetFunction - The original function to wrap.
      * @param {Function} advice - The advice function to execute if the target function throws an error.
      * @returns {Function} A new function that executes the target function and handles any thrown errors with the advice.
      */
     static afterThrowing(targetFunction, advice) {
         return function(...args) {
+            const handle = (error) => chain(advice.apply(this, [error, ...args]), () => {
+                throw error; // Re-throw the error after advice
+            });
+
+            let result;
             try {
-                return targetFunction.apply(this, args);
+                result = targetFunction.apply(this, args);
             } catch (error) {
-                advice.apply(this, [error, ...args]);
-                throw error; // Re-throw the error after advice
+                return handle(error);
             }
+            return isThenable(result) ? result.then(undefined, handle) : result;
         };
     }
+
+    /**
+     * Creates a function that parses and validates its arguments, and optionally its return value, with the parsers
+     * from Parsers.js and the validators from Validators.js before the target function sees them.
+     * The target function receives the parsed arguments. If any argument is invalid, it is not called and a single
+     * ArgumentValidationError listing every failing argument is thrown, or the returned Promise rejects with it if a parser
+     * or validator was asynchronous. This is the validation aspect from Aspects.js applied to a single function.
+     * @param {Function} targetFunction - The original function to wrap.
+     * @param {Object} spec - The validation spec: args with one { name, parsers, validators } spec or schema per argument,
+     * and optionally returns with the spec of the return value. See validation in Aspects.js.
+     * @returns {Function} A new function that checks its arguments, then calls the target function.
+     * @example
+     * const setName = AOPToolkit.validate((name) => console.log(`Name set to ${name}`), {
+     *     args: [{ name: 'name', parsers: [stringParser], validators: [nonEmptyNameValidator] }]
+     * });
+     */
+    static validate(targetFunction, spec) {
+        return validation(spec).apply(targetFunction);
+    }
 }
\ No newline at end of file
@@ -0,0 +1,207 @@
+import { chain, attempt } from './Thenable.js';
+
+/**
+ * Returns a high-resolution timestamp in milliseconds where available.
+ * @returns {number} The current time in milliseconds.
+ */
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Describes one call of an advised function. Every advice of an Aspect receives a join point.
+ *
+ * All aspects advising the same call share its state: arguments replaced in a before advice are the arguments
+ * the next aspects and the target receive, and a return value replaced in an afterReturning advice is what the caller gets.
+ * @class
+ */
+export class JoinPoint {
+    /**
+     * Creates an instance of JoinPoint.
+     * @param {Object} call - The state of the call, shared by the join points of every aspect advising it.
+     * @param {Function} next - Calls the next aspect in precedence order, or the target function after the last one.
+     */
+    constructor(call, next) {
+        this.call = call;
+        this.next = next;
+    }
+
+    /**
+     * The name of the advised method or function.
+     * @type {string}
+     */
+    get methodName() {
+        return this.call.methodName;
+    }
+
+    /**
+     * The `this` the advised function was called with, e.g. the instance whose method was called.
+     * @type {any}
+     */
+    get target() {
+        return this.call.target;
+    }
+
+    /**
+     * The arguments the target function will be called with. Can be replaced or modified in place before it runs.
+     * @type {Array}
+     */
+    get args() {
+        return this.call.args;
+    }
+
+    set args(args) {
+        this.call.args = args;
+    }
+
+    /**
+     * The value returned by the target function, once it has returned. Can be replaced in afterReturning advice.
+     * @type {any}
+     */
+    get returnValue() {
+        return this.call.returnValue;
+    }
+
+    set returnValue(value) {
+        this.call.returnValue = value;
+    }
+
+    /**
+     * The error thrown by the target function or an inner aspect, in afterThrowing advice.
+     * @type {Error|undefined}
+     */
+    get error() {
+        return this.call.error;
+    }
+
+    /**
+     * The milliseconds since the call started, frozen once the target function has returned or thrown.
+     * @type {number}
+     */
+    get elapsed() {
+        return (this.call.end === undefined ? now() : this.call.end) - this.call.start;
+    }
+
+    /**
+     * Continues the call: runs the aspects with lower precedence and then the target function.
+     * Can be called more than once, e.g. to retry.
+     * @param {...any} args - Arguments to call the target with instead of the current ones.
+     * @returns {any} The return value of the target function, or a Promise of it if the target is asynchronous.
+     */
+    proceed(...args) {
+        if (args.length > 0) {
+            this.call.args = args;
+        }
+        return this.next();
+    }
+}
+
+/**
+ * Bundles the advice for a cross-cutting concern. Each advice receives a JoinPoint.
+ *
+ * When several aspects advise the same function, the one with the lowest order has the highest precedence:
+ * it runs its before advice first and its after advice last, and its around advice wraps all the others.
+ * Aspects with equal order keep the order in which they were applied.
+ * @class
+ */
+export class Aspect {
+    /**
+     * Creates an instance of Aspect.
+     * @param {Object} definition - The advice and settings of the aspect.
+     * @param {string} [definition.name='aspect'] - A name for the aspect, for debugging.
+     * @param {number} [definition.order=0] - The precedence of the aspect. Lower values run outermost.
+     * @param {Function} [definition.before] - Runs before the target. May modify joinPoint.args.
+     * @param {Function} [definition.around] - Runs instead of the target and decides whether and how to call joinPoint.proceed().
+     * Its return value becomes the return value of the call.
+     * @param {Function} [definition.afterReturning] - Runs after the target returned. May replace joinPoint.returnValue.
+     * @param {Function} [definition.afterThrowing] - Runs after the target threw. The error is rethrown afterwards.
+     * @param {Function} [definition.after] - Runs after afterReturning, once the target returned.
+     */
+    constructor({ name = 'aspect', order = 0, before, around, afterReturning, afterThrowing, after } = {}) {
+        this.name = name;
+        this.order = order;
+        this.before = before;
+        this.around = around;
+        this.afterReturning = afterReturning;
+        this.afterThrowing = afterThrowing;
+        this.after = after;
+    }
+
+    /**
+     * Runs the aspect's advice for one join point. Every step waits for Promises returned by the advice or the target.
+     * @param {JoinPoint} joinPoint - The join point of the call.
+     * @returns {any} The return value of the call, or a Promise of it.
+     */
+    invoke(joinPoint) {
+        const call = joinPoint.call;
+        return chain(this.before && this.before(joinPoint), () => attempt(
+            () => (this.around ? this.around(joinPoint) : joinPoint.proceed()),
+            (value) => {
+                call.returnValue = value;
+                return chain(this.afterReturning && this.afterReturning(joinPoint),
+                    () => chain(this.after && this.after(joinPoint), () => call.returnValue));
+            },
+            (error) => {
+                call.error = error;
+                return chain(this.afterThrowing && this.afterThrowing(joinPoint), () => {
+                    throw error;
+                });
+            }
+        ));
+    }
+
+    /**
+     * Applies the aspect to a function. Shorthand for applyAspects(targetFunction, [this], methodName).
+     * @param {Function} targetFunction - The function to advise.
+     * @param {string} [methodName] - The name reported by join points. Defaults to the function's name.
+     * @returns {Function} The advised function.
+     */
+    apply(targetFunction, methodName) {
+        return applyAspects(targetFunction, [this], methodName);
+    }
+}
+
+/**
+ * The functions created by applyAspects, with the original function and the aspects advising it.
+ * @type {WeakMap<Function, {targetFunction: Function, aspects: Aspect[], methodName: string}>}
+ */
+const advised = new WeakMap();
+
+/**
+ * Advises a function with several aspects, ordered by precedence.
+ * If the function was itself created by applyAspects, the new aspects are merged into its existing ones instead of
+ * being wrapped around them, so precedence holds no matter in which order the aspects were applied.
+ * @param {Function} targetFunction - The function to advise.
+ * @param {Aspect[]} aspects - The aspects to apply.
+ * @param {string} [methodName] - The name reported by join points. Defaults to the function's name.
+ * @returns {Function} The advised function.
+ */
+export const applyAspects = (targetFunction, aspects, methodName) => {
+    const existing = advised.get(targetFunction);
+    const original = existing ? existing.targetFunction : targetFunction;
+    const ordered = [...(existing ? existing.aspects : []), ...aspects].sort((a, b) => a.order - b.order);
+    const name = methodName || (existing ? existing.methodName : original.name);
+
+    const advisedFunction = function(...args) {
+        const call = { methodName: name, target: this, args, returnValue: undefined, error: undefined, start: now(), end: undefined };
+        const invoke = (index) => {
+            if (index === ordered.length) {
+                call.error = undefined;
+                return attempt(
+                    () => original.apply(call.target, call.args),
+                    (value) => {
+                        call.end = now();
+                        return value;
+                    },
+                    (error) => {
+                        call.end = now();
+                        throw error;
+                    }
+                );
+            }
+            return ordered[index].invoke(new JoinPoint(call, () => invoke(index + 1)));
+        };
+        return invoke(0);
+    };
+
+    advised.set(advisedFunction, { targetFunction: original, aspects: ordered, methodName: name });
+    return advisedFunction;
+};
\ No newline at end of file
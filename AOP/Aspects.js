@@ -0,0 +1,502 @@
+import { Aspect } from './Aspect.js';
+import { isThenable, chain, attempt } from './Thenable.js';
+
+/**
+ * Error thrown by the timeout aspect when a call takes too long.
+ * @class
+ * @extends Error
+ */
+export class TimeoutError extends Error {
+    /**
+     * Creates an instance of TimeoutError.
+     * @param {string} message - The error message.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * Error thrown by the rateLimit aspect when a call exceeds the limit.
+ * @class
+ * @extends Error
+ */
+export class RateLimitError extends Error {
+    /**
+     * Creates an instance of RateLimitError.
+     * @param {string} message - The error message.
+     * @param {number} retryAfter - The milliseconds until the next call is allowed.
+     */
+    constructor(message, retryAfter) {
+        super(message);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Error thrown by the circuitBreaker aspect while the circuit is open.
+ * @class
+ * @extends Error
+ */
+export class CircuitOpenError extends Error {
+    /**
+     * Creates an instance of CircuitOpenError.
+     * @param {string} message - The error message.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'CircuitOpenError';
+    }
+}
+
+/**
+ * Error thrown by the validation aspect when arguments or the return value are invalid.
+ * @class
+ * @extends Error
+ */
+export class ArgumentValidationError extends Error {
+    /**
+     * Creates an instance of ArgumentValidationError.
+     * @param {{argument: (number|string), name: string, message: string}[]} errors - Every failure, with the index of the argument
+     * it belongs to (or 'return' for the return value) and its name.
+     */
+    constructor(errors) {
+        super(errors.map(error => error.message).join(' '));
+        this.name = 'ArgumentValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Returns a Promise that resolves after a delay.
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>} The Promise.
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Retries failed calls.
+ * Asynchronous targets are retried after an exponentially growing delay. Synchronous targets cannot wait
+ * without blocking, so they are retried immediately.
+ * @param {Object} [options={}] - The retry options.
+ * @param {number} [options.attempts=3] - The maximum number of calls, including the first one.
+ * @param {number} [options.delay=100] - The delay before the first retry, in milliseconds.
+ * @param {number} [options.factor=2] - The factor the delay grows by after every retry.
+ * @param {number} [options.maxDelay=Infinity] - The maximum delay, in milliseconds.
+ * @param {Function} [options.retryIf] - Called with the error and the number of the failed attempt. Return false to stop retrying.
+ * @param {number} [options.order=0] - The precedence of the aspect.
+ * @returns {Aspect} The aspect.
+ */
+export const retry = ({ attempts = 3, delay = 100, factor = 2, maxDelay = Infinity, retryIf = () => true, order = 0 } = {}) => new Aspect({
+    name: 'retry',
+    order,
+    around: (joinPoint) => {
+        const shouldRetry = (error, attemptNumber) => attemptNumber < attempts && retryIf(error, attemptNumber);
+        const run = (attemptNumber) => {
+            let result;
+            try {
+                result = joinPoint.proceed();
+            } catch (error) {
+                if (!shouldRetry(error, attemptNumber)) {
+                    throw error;
+                }
+                return run(attemptNumber + 1);
+            }
+            if (!isThenable(result)) {
+                return result;
+            }
+            return result.then(undefined, (error) => {
+                if (!shouldRetry(error, attemptNumber)) {
+                    throw error;
+                }
+                return sleep(Math.min(delay * factor ** (attemptNumber - 1), maxDelay)).then(() => run(attemptNumber + 1));
+            });
+        };
+        return run(1);
+    }
+});
+
+/**
+ * Fails calls that take too long with a TimeoutError.
+ * An asynchronous call is rejected as soon as the time is up. A synchronous call cannot be interrupted, so it throws
+ * once it has finished if it took too long.
+ * @param {Object} options - The timeout options.
+ * @param {number} options.ms - The time limit in milliseconds.
+ * @param {string} [options.message] - A custom error message.
+ * @param {number} [options.order=0] - The precedence of the aspect.
+ * @returns {Aspect} The aspect.
+ */
+export const timeout = ({ ms, message, order = 0 }) => new Aspect({
+    name: 'timeout',
+    order,
+    around: (joinPoint) => {
+        const error = () => new TimeoutError(message || `${joinPoint.methodName || 'Call'} timed out after ${ms}ms`);
+        const result = joinPoint.proceed();
+        if (!isThenable(result)) {
+            if (joinPoint.elapsed > ms) {
+                throw error();
+            }
+            return result;
+        }
+
+        let timer;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(error()), ms);
+        });
+        return Promise.race([result, expired]).finally(() => clearTimeout(timer));
+    }
+});
+
+/**
+ * Caches results by their arguments. Results of asynchronous calls are cached as Promises, and removed again if they reject.
+ * Each target object has its own cache, so different instances of a class do not share results.
+ * The returned aspect has a clear() method that empties every cache.
+ * @param {Object} [options={}] - The memoization options.
+ * @param {Function} [options.key] - Computes the cache key from the arguments. Defaults to JSON.stringify of the argument list.
+ * @param {number} [options.ttl=Infinity] - How long a result stays cached, in milliseconds.
+ * @param {number} [options.order=0] - The precedence of the aspect.
+ * @returns {Aspect} The aspect.
+ */
+export const memoize = ({ key = (...args) => JSON.stringify(args), ttl = Infinity, order = 0 } = {}) => {
+    let caches = new WeakMap();
+    let sharedCache = new Map();
+    const cacheFor = (target) => {
+        if (target === null || (typeof target !== 'object' && typeof target !== 'function')) {
+            return sharedCache;
+        }
+        if (!caches.has(target)) {
+            caches.set(target, new Map());
+        }
+        return caches.get(target);
+    };
+
+    const aspect = new Aspect({
+        name: 'memoize',
+        order,
+        around: (joinPoint) => {
+            const cache = cacheFor(joinPoint.target);
+            const cacheKey = `${joinPoint.methodName}:${key(...joinPoint.args)}`;
+            const cached = cache.get(cacheKey);
+            if (cached && cached.expires > Date.now()) {
+                return cached.value;
+            }
+
+            const value = joinPoint.proceed();
+            const entry = { value, expires: Date.now() + ttl };
+            cache.set(cacheKey, entry);
+            if (isThenable(value)) {
+                value.then(undefined, () => {
+                    if (cache.get(cacheKey) === entry) {
+                        cache.delete(cacheKey);
+                    }
+                });
+            }
+            return value;
+        }
+    });
+    aspect.clear = () => {
+        caches = new WeakMap();
+        sharedCache = new Map();
+    };
+    return aspect;
+};
+
+/**
+ * Creates a store of per-call-site state, keyed like the caches of memoize: by target object and method name,
+ * so different methods and different instances of a class do not share state.
+ * @param {Function} create - Creates the initial state of a call site.
+ * @returns {Function} - Returns the state of the call site of a join point, creating it on first use.
+ */
+const stateStore = (create) => {
+    const states = new WeakMap();
+    const sharedStates = new Map();
+    return (joinPoint) => {
+        const { target, methodName } = joinPoint;
+        let byMethod = sharedStates;
+        if (target !== null && (typeof target === 'object' || typeof target === 'function')) {
+            if (!states.has(target)) {
+                states.set(target, new Map());
+            }
+            byMethod = states.get(target);
+        }
+        if (!byMethod.has(methodName)) {
+            byMethod.set(methodName, create());
+        }
+        return byMethod.get(methodName);
+    };
+};
+
+/**
+ * Calls the target at most once per interval. Calls made within the interval after an executed call
+ * are not executed and return the result of that call instead. Each method of each target object has its own interval.
+ * @param {Object} options - The throttle options.
+ * @param {number} options.wait - The interval in milliseconds.
+ * @param {number} [options.order=0] - The precedence of the aspect.
+ * @returns {Aspect} The aspect.
+ */
+export const throttle = ({ wait, order = 0 }) => {
+    const stateFor = stateStore(() => ({ lastCall: -Infinity, lastResult: undefined }));
+    return new Aspect({
+        name: 'throttle',
+        order,
+        around: (joinPoint) => {
+            const state = stateFor(joinPoint);
+            if (Date.now() - state.lastCall < wait) {
+                return state.lastResult;
+            }
+            state.lastCall = Date.now();
+            state.lastResult = joinPoint.proceed();
+            return state.lastResult;
+        }
+    });
+};
+
+/**
+ * Delays calls until no new call has been made for an interval, then executes only the last one.
+ * Because the call happens later, the advised function always returns a Promise. Every call made during
+ * the interval resolves, or rejects, with the outcome of the call that was finally executed.
+ * Each method of each target object is debounced on its own.
+ * @param {Object} options - The debounce options.
+ * @param {number} options.wait - The interval in milliseconds.
+ * @param {number} [options.order=0] - The precedence of the aspect.
+ * @returns {Aspect} The aspect.
+ */
+export const debounce = ({ wait, order = 0 }) => {
+    const stateFor = stateStore(() => ({ timer: null, waiting: [] }));
+    return new Aspect({
+        name: 'debounce',
+        order,
+        around: (joinPoint) => new Promise((resolve, reject) => {
+            const state = stateFor(joinPoint);
+            state.waiting.push({ resolve, reject });
+            clearTimeout(state.timer);
+            state.timer = setTimeout(() => {
+                const settled = state.waiting;
+                state.waiting = [];
+                state.timer = null;
+                attempt(
+                    () => joinPoint.proceed(),
+                    (value) => settled.forEach(call => call.resolve(value)),
+                    (error) => settled.forEach(call => call.reject(error))
+                );
+            }, wait);
+        })
+    });
+};
+
+/**
+ * Allows at most a number of calls within a sliding time window. Calls beyond the limit throw a RateLimitError
+ * without calling the target. The window is shared by every function the aspect advises.
+ * @param {Object} options - The rate limit options.
+ * @param {number} options.limit - The maximum number of calls per window.
+ * @param {number} options.interval - The length of the window in milliseconds.
+ * @param {number} [options.order=0] - The precedence of the aspect.
+ * @returns {Aspect} The aspect.
+ */
+export const rateLimit = ({ limit, interval, order = 0 }) => {
+    const calls = [];
+    return new Aspect({
+        name: 'rateLimit',
+        order,
+        around: (joinPoint) => {
+            const now = Date.now();
+            while (calls.length > 0 && calls[0] <= now - interval) {
+                calls.shift();
+            }
+            if (calls.length >= limit) {
+                const retryAfter = calls[0] + interval - now;
+                throw new RateLimitError(`Rate limit of ${limit} calls per ${interval}ms exceeded`, retryAfter);
+            }
+            calls.push(now);
+            return joinPoint.proceed();
+        }
+    });
+};
+
+/**
+ * Stops calling a failing target for a while.
+ *
+ * The circuit starts closed and counts consecutive failures. Once failureThreshold is reached it opens, and calls
+ * throw a CircuitOpenError without calling the target. After resetTimeout it becomes half-open and lets a single
+ * trial call through: if it succeeds the circuit closes again, if it fails the circuit opens again.
+ * The returned aspect exposes the current state as its state property and a reset() method that closes the circuit.
+ * One circuit is shared by every function the aspect advises.
+ * @param {Object} [options={}] - The circuit breaker options.
+ * @param {number} [options.failureThreshold=5] - The number of consecutive failures that opens the circuit.
+ * @param {number} [options.resetTimeout=30000] - How long the circuit stays open, in milliseconds.
+ * @param {Function} [options.isFailure] - Called with an error to decide whether it counts as a failure. Defaults to every error.
+ * @param {Function} [options.onStateChange] - Called with the new and the previous state whenever the state changes.
+ * @param {number} [options.order=0] - The precedence of the aspect.
+ * @returns {Aspect} The aspect.
+ */
+export const circuitBreaker = ({ failureThreshold = 5, resetTimeout = 30000, isFailure = () => true, onStateChange = () => {}, order = 0 } = {}) => {
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    const aspect = new Aspect({
+        name: 'circuitBreaker',
+        order,
+        around: (joinPoint) => {
+            if (aspect.state === 'open') {
+                if (Date.now() - openedAt < resetTimeout) {
+                    throw new CircuitOpenError(`Circuit is open for ${joinPoint.methodName || 'call'}`);
+                }
+                transition('half-open');
+            }
+            if (aspect.state === 'half-open') {
+                if (trialInFlight) {
+                    throw new CircuitOpenError(`Circuit is half-open for ${joinPoint.methodName || 'call'}`);
+                }
+                trialInFlight = true;
+            }
+
+            const trial = aspect.state === 'half-open';
+            return attempt(
+                () => joinPoint.proceed(),
+                (value) => {
+                    if (trial) {
+                        trialInFlight = false;
+                    }
+                    failures = 0;
+                    transition('closed');
+                    return value;
+                },
+                (error) => {
+                    if (trial) {
+                        trialInFlight = false;
+                    }
+                    if (isFailure(error)) {
+                        failures++;
+                        if (trial || failures >= failureThreshold) {
+                            openedAt = Date.now();
+                            transition('open');
+                        }
+                    }
+                    throw error;
+                }
+            );
+        }
+    });
+
+    const transition = (state) => {
+        const previous = aspect.state;
+        if (previous !== state) {
+            aspect.state = state;
+            onStateChange(state, previous);
+        }
+    };
+
+    aspect.state = 'closed';
+    aspect.reset = () => {
+        failures = 0;
+        trialInFlight = false;
+        transition('closed');
+    };
+    return aspect;
+};
+
+/**
+ * Runs parsers in order, starting at the given index, each receiving the result of the one before.
+ * Continues asynchronously as soon as a parser returns a Promise.
+ * @param {Function[]} parsers - The parsers.
+ * @param {any} value - The value to parse.
+ * @param {number} [start=0] - The index of the first parser to run.
+ * @returns {{value: any}|{error: Error}|Promise<{value: any}|{error: Error}>} The parsed value, or the error of the parser that failed.
+ */
+const runParsers = (parsers, value, start = 0) => {
+    if (start === parsers.length) {
+        return { value };
+    }
+    return attempt(
+        () => parsers[start](value),
+        (parsed) => runParsers(parsers, parsed, start + 1),
+        (error) => ({ error })
+    );
+};
+
+/**
+ * Parses and validates a single value against a validation spec.
+ * @param {Object} spec - A schema from Schema.js, or an object with parsers and validators.
+ * @param {any} value - The value to check.
+ * @param {string} name - The name the validators see the value under.
+ * @returns {{value: any, messages: string[]}|Promise<{value: any, messages: string[]}>} The parsed value and any error messages,
+ * as a Promise if a parser or validator was asynchronous. A validator whose Promise rejects fails with the rejection's message.
+ */
+const checkValue = (spec, value, name) => {
+    if (typeof spec.check === 'function') {
+        return chain(spec.check(value, [name]), result => ({ value: result.value, messages: result.errors.map(error => error.message) }));
+    }
+
+    const { parsers = [], validators = [] } = spec;
+    return chain(runParsers(parsers, value), (parsed) => {
+        if ('error' in parsed) {
+            return { value: undefined, messages: [parsed.error.message] };
+        }
+        const results = validators.map(validator => validator({}, { [name]: parsed.value }));
+        const collect = (settled) => ({ value: parsed.value, messages: settled.filter(result => result !== true) });
+        return results.some(isThenable)
+            ? Promise.all(results.map(result => Promise.resolve(result).catch(error => error.message))).then(collect)
+            : collect(results);
+    });
+};
+
+/**
+ * Parses and validates the arguments and the return value of the advised function with the parsers from Parsers.js
+ * and the validators from Validators.js.
+ *
+ * Each argument spec names the argument, which is the key validators see it under, and lists its parsers and validators.
+ * A schema from Schema.js can be used as a spec instead. The target receives the parsed arguments. If any argument is
+ * invalid, the target is not called and a single ArgumentValidationError listing every failing argument is thrown.
+ * The return value is checked the same way once the target has returned.
+ * @param {Object} spec - The validation spec.
+ * @param {Array<{name: string, parsers: Function[], validators: Function[]}|SchemaType|null>} [spec.args=[]] - One spec per argument,
+ * by position. Use null to leave an argument unchecked.
+ * @param {{name: string, parsers: Function[], validators: Function[]}|SchemaType} [spec.returns] - The spec of the return value.
+ * @param {number} [spec.order=0] - The precedence of the aspect.
+ * @returns {Aspect} The aspect.
+ * @example
+ * const setName = validation({
+ *     args: [{ name: 'name', parsers: [stringParser], validators: [nonEmptyNameValidator] }]
+ * }).apply((name) => console.log(`Name set to ${name}`));
+ */
+export const validation = ({ args = [], returns, order = 0 }) => new Aspect({
+    name: 'validation',
+    order,
+    before: (joinPoint) => {
+        const checks = args.map((spec, index) => (spec ? checkValue(spec, joinPoint.args[index], spec.name || `argument${index}`) : null));
+        const apply = (outcomes) => {
+            const errors = [];
+            const parsedArgs = [...joinPoint.args];
+            outcomes.forEach((outcome, index) => {
+                if (outcome === null) {
+                    return;
+                }
+                const name = args[index].name || `argument${index}`;
+                outcome.messages.forEach(message => errors.push({ argument: index, name, message }));
+                parsedArgs[index] = outcome.value;
+            });
+            if (errors.length > 0) {
+                throw new ArgumentValidationError(errors);
+            }
+            joinPoint.args = parsedArgs;
+        };
+        return checks.some(isThenable) ? Promise.all(checks).then(apply) : apply(checks);
+    },
+    afterReturning: (joinPoint) => {
+        if (!returns) {
+            return undefined;
+        }
+        const name = returns.name || 'result';
+        const apply = (outcome) => {
+            if (outcome.messages.length > 0) {
+                throw new ArgumentValidationError(outcome.messages.map(message => ({ argument: 'return', name, message })));
+            }
+            joinPoint.returnValue = outcome.value;
+        };
+        const outcome = checkValue(returns, joinPoint.returnValue, name);
+        return isThenable(outcome) ? outcome.then(apply) : apply(outcome);
+    }
+});
\ No newline at end of file
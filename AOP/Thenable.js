@@ -0,0 +1,33 @@
+/**
+ * Checks whether a value is a Promise or another thenable.
+ * @param {any} value - The value to check.
+ * @returns {boolean} True if the value has a then method.
+ */
+export const isThenable = (value) => value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+
+/**
+ * Calls the next step with a value, waiting for the value first if it is a thenable.
+ * Keeps synchronous calls synchronous while letting asynchronous ones flow through the same code.
+ * @param {any} value - The value, or a thenable resolving to it.
+ * @param {Function} next - The function to call with the value.
+ * @returns {any} The result of next, or a Promise of it if the value was a thenable.
+ */
+export const chain = (value, next) => (isThenable(value) ? value.then(next) : next(value));
+
+/**
+ * Calls a function and routes its outcome to a success or a failure handler, whether it returns, throws,
+ * resolves or rejects. Errors thrown by the handlers themselves are not caught.
+ * @param {Function} fn - The function to call.
+ * @param {Function} onValue - Called with the returned or resolved value.
+ * @param {Function} onError - Called with the thrown error or rejection reason.
+ * @returns {any} The result of the handler that ran, or a Promise of it if fn returned a thenable.
+ */
+export const attempt = (fn, onValue, onError) => {
+    let result;
+    try {
+        result = fn();
+    } catch (error) {
+        return onError(error);
+    }
+    return isThenable(result) ? result.then(onValue, onError) : onValue(result);
+};
\ No newline at end of file
@@ -0,0 +1,306 @@
+import { Aspect } from './Aspect.js';
+import { attempt } from './Thenable.js';
+
+/**
+ * Returns a high-resolution timestamp in milliseconds where available.
+ * @returns {number} The current time in milliseconds.
+ */
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * The upper bounds, in milliseconds, of the buckets of every duration histogram.
+ * @type {number[]}
+ */
+const DURATION_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * A finished call of a traced function.
+ * @typedef {Object} Span
+ * @property {string} id - The id of the span.
+ * @property {string} traceId - The id of the outermost span of the trace.
+ * @property {string|null} parentId - The id of the span of the enclosing call, or null for the outermost one.
+ * @property {number} depth - The nesting depth, 0 for the outermost span.
+ * @property {string} name - The name of the traced call.
+ * @property {number} startTime - When the call started, in milliseconds since the epoch.
+ * @property {number} endTime - When the call finished, in milliseconds since the epoch.
+ * @property {number} duration - How long the call took, in milliseconds.
+ * @property {Array} args - A summary of the arguments.
+ * @property {'ok'|'error'} status - Whether the call returned or threw.
+ * @property {any} [result] - A summary of the return value.
+ * @property {{name: string, message: string}} [error] - The error thrown by the call.
+ */
+
+/**
+ * Summarizes a value for a span, so spans stay small and never hold on to large objects.
+ * Strings are truncated, arrays and objects are reduced to their type and size.
+ * @param {any} value - The value to summarize.
+ * @returns {any} The summary.
+ */
+export const summarize = (value) => {
+    if (typeof value === 'string') {
+        return value.length > 100 ? `${value.slice(0, 100)}…` : value;
+    }
+    if (value === null || typeof value !== 'object' && typeof value !== 'function') {
+        return value;
+    }
+    if (typeof value === 'function') {
+        return `[Function ${value.name || 'anonymous'}]`;
+    }
+    if (Array.isArray(value)) {
+        return `[Array(${value.length})]`;
+    }
+    return `[${(value.constructor && value.constructor.name) || 'Object'}]`;
+};
+
+/**
+ * Creates a context manager that tracks the active span with a stack.
+ * Calls made synchronously inside a traced call, including the synchronous part of an async function, get the right parent.
+ * Calls made after an `await` do not; use asyncLocalContext for those.
+ * @returns {{active: Function, run: Function}} The context manager.
+ */
+export const stackContext = () => {
+    const stack = [];
+    return {
+        active: () => stack[stack.length - 1] || null,
+        run: (span, fn) => {
+            stack.push(span);
+            try {
+                return fn();
+            } finally {
+                stack.pop();
+            }
+        }
+    };
+};
+
+/**
+ * Creates a context manager that tracks the active span across `await`s, so nested asynchronous calls get the right parent.
+ * The AsyncLocalStorage class is passed in rather than imported, so this module also loads in browsers.
+ * @param {Function} AsyncLocalStorage - The AsyncLocalStorage class from Node's 'async_hooks' module.
+ * @returns {{active: Function, run: Function}} The context manager.
+ * @example
+ * import { AsyncLocalStorage } from 'node:async_hooks';
+ * const tracer = new Tracer({ context: asyncLocalContext(AsyncLocalStorage) });
+ */
+export const asyncLocalContext = (AsyncLocalStorage) => {
+    const storage = new AsyncLocalStorage();
+    return {
+        active: () => storage.getStore() || null,
+        run: (span, fn) => storage.run(span, fn)
+    };
+};
+
+/**
+ * Collects finished spans in memory. Useful in tests.
+ * @class
+ */
+export class InMemoryExporter {
+    constructor() {
+        this.spans = [];
+    }
+
+    /**
+     * Stores a finished span.
+     * @param {Span} span - The span.
+     */
+    export(span) {
+        this.spans.push(span);
+    }
+
+    /**
+     * Removes every stored span.
+     */
+    clear() {
+        this.spans = [];
+    }
+}
+
+/**
+ * Prints every finished span on one line, indented by its depth.
+ * @class
+ */
+export class ConsoleExporter {
+    /**
+     * Creates an instance of ConsoleExporter.
+     * @param {Object} [options={}] - The exporter options.
+     * @param {Function} [options.log=console.log] - The function that prints a line.
+     */
+    constructor({ log = console.log } = {}) {
+        this.log = log;
+    }
+
+    /**
+     * Prints a finished span.
+     * @param {Span} span - The span.
+     */
+    export(span) {
+        const outcome = span.status === 'ok' ? 'ok' : `failed: ${span.error.message}`;
+        this.log(`${'  '.repeat(span.depth)}${span.name} ${span.duration.toFixed(2)}ms ${outcome}`);
+    }
+}
+
+/**
+ * Writes every finished span as one line of JSON.
+ * @class
+ */
+export class JSONLinesExporter {
+    /**
+     * Creates an instance of JSONLinesExporter.
+     * @param {Function} write - Called with each line, including its trailing newline,
+     * e.g. `line => stream.write(line)` or `line => fs.appendFileSync('trace.jsonl', line)`.
+     */
+    constructor(write) {
+        this.write = write;
+    }
+
+    /**
+     * Writes a finished span.
+     * @param {Span} span - The span.
+     */
+    export(span) {
+        this.write(`${JSON.stringify(span)}\n`);
+    }
+}
+
+/**
+ * Records spans and aggregates metrics. Finished spans are handed to every exporter.
+ * @class
+ */
+export class Tracer {
+    /**
+     * Creates an instance of Tracer.
+     * @param {Object} [options={}] - The tracer options.
+     * @param {Object[]} [options.exporters=[]] - Objects with an export(span) method.
+     * @param {{active: Function, run: Function}} [options.context] - Tracks the active span. Defaults to stackContext().
+     */
+    constructor({ exporters = [], context = stackContext() } = {}) {
+        this.exporters = exporters;
+        this.context = context;
+        this.nextId = 1;
+        this.metricsByName = new Map();
+    }
+
+    /**
+     * Starts a span as a child of the active span.
+     * @param {string} name - The name of the span.
+     * @param {Array} args - A summary of the arguments.
+     * @returns {Span} The span, without its end time and outcome.
+     */
+    startSpan(name, args) {
+        const parent = this.context.active();
+        const id = String(this.nextId++);
+        return {
+            id,
+            traceId: parent ? parent.traceId : id,
+            parentId: parent ? parent.id : null,
+            depth: parent ? parent.depth + 1 : 0,
+            name,
+            startTime: Date.now(),
+            start: now(),
+            args
+        };
+    }
+
+    /**
+     * Finishes a span, updates the metrics of its name and exports it.
+     * @param {Span} span - The span started by startSpan.
+     * @param {{result: any}|{error: Error}} outcome - The summarized return value, or the error thrown.
+     * @returns {Span} The finished span.
+     */
+    endSpan(span, outcome) {
+        const duration = now() - span.start;
+        const { start, ...fields } = span;
+        const finished = { ...fields, endTime: span.startTime + duration, duration };
+        if ('error' in outcome) {
+            finished.status = 'error';
+            finished.error = { name: outcome.error && outcome.error.name, message: outcome.error && outcome.error.message };
+        } else {
+            finished.status = 'ok';
+            finished.result = outcome.result;
+        }
+
+        this.record(finished);
+        for (const exporter of this.exporters) {
+            exporter.export(finished);
+        }
+        return finished;
+    }
+
+    /**
+     * Adds a finished span to the metrics of its name.
+     * @param {Span} span - The finished span.
+     */
+    record(span) {
+        if (!this.metricsByName.has(span.name)) {
+            this.metricsByName.set(span.name, {
+                calls: 0,
+                errors: 0,
+                duration: { count: 0, sum: 0, min: Infinity, max: 0, buckets: DURATION_BUCKETS.map(le => ({ le, count: 0 })) }
+            });
+        }
+        const metrics = this.metricsByName.get(span.name);
+        metrics.calls++;
+        if (span.status === 'error') {
+            metrics.errors++;
+        }
+        const histogram = metrics.duration;
+        histogram.count++;
+        histogram.sum += span.duration;
+        histogram.min = Math.min(histogram.min, span.duration);
+        histogram.max = Math.max(histogram.max, span.duration);
+        for (const bucket of histogram.buckets) {
+            if (span.duration <= bucket.le) {
+                bucket.count++;
+            }
+        }
+    }
+
+    /**
+     * Returns the metrics aggregated so far: per span name, the number of calls and errors and a histogram of durations.
+     * Bucket counts are cumulative, each counting the calls that took at most `le` milliseconds.
+     * @returns {Object<string, {calls: number, errors: number, duration: Object}>} A snapshot of the metrics.
+     */
+    metrics() {
+        const snapshot = {};
+        for (const [name, metrics] of this.metricsByName) {
+            snapshot[name] = JSON.parse(JSON.stringify(metrics));
+        }
+        return snapshot;
+    }
+
+    /**
+     * Clears the aggregated metrics.
+     */
+    resetMetrics() {
+        this.metricsByName.clear();
+    }
+}
+
+/**
+ * Records a span per call of the advised functions, with the nesting of calls, their arguments, outcome and duration,
+ * and aggregates metrics per function on the tracer.
+ * @param {Object} options - The tracing options.
+ * @param {Tracer} options.tracer - The tracer that records the spans.
+ * @param {string} [options.name] - The span name. Defaults to the name of the advised method.
+ * @param {Function} [options.summarize] - Summarizes arguments and return values. Defaults to summarize.
+ * @param {number} [options.order=0] - The precedence of the aspect. Use a low order to include the time of other aspects.
+ * @returns {Aspect} The aspect.
+ */
+export const tracing = ({ tracer, name, summarize: summarizeValue = summarize, order = 0 }) => new Aspect({
+    name: 'tracing',
+    order,
+    around: (joinPoint) => {
+        const span = tracer.startSpan(name || joinPoint.methodName || 'anonymous', joinPoint.args.map(summarizeValue));
+        return tracer.context.run(span, () => attempt(
+            () => joinPoint.proceed(),
+            (value) => {
+                tracer.endSpan(span, { result: summarizeValue(value) });
+                return value;
+            },
+            (error) => {
+                tracer.endSpan(span, { error });
+                throw error;
+            }
+        ));
+    }
+});
\ No newline at end of file
@@ -0,0 +1,223 @@
+import { AOPToolkit } from './AOPToolkit.js';
+import { Aspect, applyAspects } from './Aspect.js';
+
+/**
+ * Tags attached to functions with tag(), used by tag pointcuts.
+ * @type {WeakMap<Function, Set<string>>}
+ */
+const tags = new WeakMap();
+
+/**
+ * Creates a decorator that tags a method, so it can be selected by a { tag } pointcut.
+ * Works as a standard method decorator (`@tag('audited')`) and as a plain function call (`tag('audited')(fn)`).
+ * @param {...string} names - The tags to attach.
+ * @returns {Function} A decorator that returns the function it receives, tagged.
+ */
+export const tag = (...names) => (fn) => {
+    const existing = tags.get(fn) || new Set();
+    names.forEach(name => existing.add(name));
+    tags.set(fn, existing);
+    return fn;
+};
+
+/**
+ * Converts a name glob into a regular expression. '*' matches any run of characters and '?' a single one.
+ * @param {string} glob - The glob, e.g. 'get*'.
+ * @returns {RegExp} The anchored regular expression.
+ */
+const globToRegExp = (glob) => new RegExp(`^${glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+
+/**
+ * Turns a pointcut into a predicate over members.
+ * A pointcut is a name glob, a regular expression, a predicate called with (name, descriptor, target),
+ * an object { tag } selecting tagged methods, or an array of pointcuts of which any may match.
+ * @param {string|RegExp|Function|{tag: string}|Array} pointcut - The pointcut.
+ * @returns {Function} A predicate called with (name, descriptor, target).
+ * @throws {Error} Throws an error if the pointcut has none of the supported forms.
+ */
+const toMatcher = (pointcut) => {
+    if (Array.isArray(pointcut)) {
+        const matchers = pointcut.map(toMatcher);
+        return (...member) => matchers.some(matches => matches(...member));
+    }
+    if (typeof pointcut === 'string') {
+        const regex = globToRegExp(pointcut);
+        return (name) => regex.test(name);
+    }
+    if (pointcut instanceof RegExp) {
+        return (name) => new RegExp(pointcut.source, pointcut.flags.replace('g', '')).test(name);
+    }
+    if (typeof pointcut === 'function') {
+        return pointcut;
+    }
+    if (pointcut && typeof pointcut.tag === 'string') {
+        return (name, descriptor) => [descriptor.value, descriptor.get, descriptor.set]
+            .some(fn => typeof fn === 'function' && tags.has(fn) && tags.get(fn).has(pointcut.tag));
+    }
+    throw new Error("Pointcut must be a glob, a RegExp, a predicate, a { tag } object or an array of these");
+};
+
+/**
+ * Wraps a function with an aspect.
+ * Aspect instances, or arrays of them, are applied with applyAspects and ordered by precedence.
+ * For a plain object of advice functions the AOPToolkit wrappers are used: around advice is closest to the target,
+ * followed by before, afterReturning, afterThrowing and after.
+ * @param {Function} fn - The function to wrap.
+ * @param {Aspect|Aspect[]|Object} aspect - The aspect, or an object with any of the advice functions before, after, around,
+ * afterReturning and afterThrowing.
+ * @param {string} name - The name of the member, reported by join points.
+ * @returns {Function} The wrapped function.
+ */
+const applyAspect = (fn, aspect, name) => {
+    if (aspect instanceof Aspect || Array.isArray(aspect)) {
+        return applyAspects(fn, [].concat(aspect), name);
+    }
+
+    let woven = fn;
+    if (aspect.around) {
+        woven = AOPToolkit.around(woven, aspect.around);
+    }
+    if (aspect.before) {
+        woven = AOPToolkit.before(woven, aspect.before);
+    }
+    if (aspect.afterReturning) {
+        woven = AOPToolkit.afterReturning(woven, aspect.afterReturning);
+    }
+    if (aspect.afterThrowing) {
+        woven = AOPToolkit.afterThrowing(woven, aspect.afterThrowing);
+    }
+    if (aspect.after) {
+        woven = AOPToolkit.after(woven, aspect.after);
+    }
+    return woven;
+};
+
+/**
+ * The function each layer created by applyLayer wraps, and the layer's state.
+ * @type {WeakMap<Function, {fn: Function, layer: {active: boolean}}>}
+ */
+const layers = new WeakMap();
+
+/**
+ * Wraps a function with an aspect as a layer that can be switched off, so that a weave can be undone
+ * even after later weaves have wrapped its functions again.
+ * @param {Function} fn - The function to wrap.
+ * @param {Aspect|Aspect[]|Object} aspect - The aspect. See applyAspect.
+ * @param {string} name - The name of the member, reported by join points.
+ * @param {{active: boolean}} layer - Shared by the functions of one weave. Once inactive, they call fn directly.
+ * @returns {Function} The wrapped function.
+ */
+const applyLayer = (fn, aspect, name, layer) => {
+    const advised = applyAspect(fn, aspect, name);
+    const wrapper = function(...args) {
+        return (layer.active ? advised : fn).apply(this, args);
+    };
+    layers.set(wrapper, { fn, layer });
+    return wrapper;
+};
+
+/**
+ * Removes the layers of undone weaves from the outside of a function.
+ * @param {Function|undefined} fn - The function, possibly a layer created by applyLayer.
+ * @returns {Function|undefined} The outermost function that is not a switched off layer.
+ */
+const peel = (fn) => {
+    let current = fn;
+    while (layers.has(current) && !layers.get(current).layer.active) {
+        current = layers.get(current).fn;
+    }
+    return current;
+};
+
+/**
+ * Checks whether an object's members can be replaced in place. Module namespace objects and frozen objects cannot.
+ * @param {Object} target - The object to check.
+ * @returns {boolean} True if the object can be modified.
+ */
+const isWritable = (target) => Object.prototype.toString.call(target) !== '[object Module]' && !Object.isFrozen(target);
+
+/**
+ * Applies an aspect to every method, getter and setter of a target that matches a pointcut.
+ *
+ * The target may be an object, a class (its prototype is woven, so every instance is affected) or a module namespace.
+ * Only the target's own members are considered, and constructors are skipped. Module namespaces and frozen objects
+ * cannot be modified, so a woven copy is returned in the handle instead.
+ * Wrapped functions keep the `this` they are called with.
+ * @param {Object|Function} target - The object, class or module namespace to weave.
+ * @param {string|RegExp|Function|{tag: string}|Array} pointcut - Selects the members to advise. See toMatcher.
+ * @param {Aspect|Aspect[]|Object} aspect - One or more Aspect instances, whose advice receives join points, or an object with
+ * any of the advice functions before, after, around, afterReturning and afterThrowing, each called as with the AOPToolkit
+ * method of the same name.
+ * @returns {{target: Object, members: string[], unweave: Function}} The woven object (the target itself, or a copy),
+ * the names of the advised members, and a function that removes this weave's advice. Members that were woven again
+ * since keep the later advice.
+ * @example
+ * const handle = weave(UserService, 'get*', { before: (...args) => console.log('Calling with', args) });
+ * handle.unweave();
+ */
+export const weave = (target, pointcut, aspect) => {
+    const owner = typeof target === 'function' ? target.prototype : target;
+    const matches = toMatcher(pointcut);
+    const woven = isWritable(owner) ? owner : Object.defineProperties({}, Object.getOwnPropertyDescriptors(owner));
+    const originals = new Map();
+    const replacements = new Map();
+    const layer = { active: true };
+
+    for (const name of Object.getOwnPropertyNames(woven)) {
+        const descriptor = Object.getOwnPropertyDescriptor(woven, name);
+        if (name === 'constructor' || !matches(name, descriptor, owner)) {
+            continue;
+        }
+
+        const replacement = { ...descriptor };
+        if (typeof descriptor.value === 'function') {
+            replacement.value = applyLayer(descriptor.value, aspect, name, layer);
+        } else if (descriptor.get || descriptor.set) {
+            replacement.get = descriptor.get && applyLayer(descriptor.get, aspect, `get ${name}`, layer);
+            replacement.set = descriptor.set && applyLayer(descriptor.set, aspect, `set ${name}`, layer);
+        } else {
+            continue;
+        }
+
+        if (!descriptor.configurable && !descriptor.writable) {
+            continue;
+        }
+        originals.set(name, descriptor);
+        replacements.set(name, replacement);
+        if (descriptor.configurable) {
+            Object.defineProperty(woven, name, replacement);
+        } else {
+            woven[name] = replacement.value;
+        }
+    }
+
+    return {
+        target: woven,
+        members: [...originals.keys()],
+        unweave: () => {
+            layer.active = false;
+            for (const [name, descriptor] of originals) {
+                const current = Object.getOwnPropertyDescriptor(woven, name);
+                const replacement = replacements.get(name);
+                // Woven again since: the later wrappers call through this layer, which now passes calls straight on
+                if (!current || current.value !== replacement.value || current.get !== replacement.get || current.set !== replacement.set) {
+                    continue;
+                }
+                // An earlier weave undone while this one was on top left its layer underneath
+                const original = { ...descriptor };
+                for (const key of ['value', 'get', 'set']) {
+                    if (typeof descriptor[key] === 'function') {
+                        original[key] = peel(descriptor[key]);
+                    }
+                }
+                if (descriptor.configurable) {
+                    Object.defineProperty(woven, name, original);
+                } else {
+                    woven[name] = original.value;
+                }
+            }
+            originals.clear();
+            replacements.clear();
+        }
+    };
+};
\ No newline at end of file
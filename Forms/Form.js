@@ -0,0 +1,225 @@
+import { Signal, computed, batch, isThenable } from '../Signals/Signal.js';
+
+/**
+ * Represents a single form field with its own value, error, dirty, touched and valid signals.
+ * Fields are created by Form and validate against the values of the whole form.
+ * @class
+ */
+export class FormField {
+    /**
+     * Creates an instance of FormField.
+     * @param {Form} form The form the field belongs to.
+     * @param {string} name The name of the field. Validators see its value under this key.
+     * @param {Object} config The field configuration.
+     * @param {any} [config.initialValue] The value the field starts with and returns to on reset.
+     * @param {Function[]} [config.parsers=[]] Parsers that turn the raw input into the field's value. They may be asynchronous.
+     * @param {Function[]} [config.validators=[]] Synchronous validators called with ({}, values). See validate.
+     */
+    constructor(form, name, { initialValue, parsers = [], validators = [] }) {
+        this.form = form;
+        this.name = name;
+        this.initialValue = initialValue;
+        this.validators = validators;
+
+        this.raw = new Signal(initialValue);
+        this.value = new Signal(initialValue, [], parsers);
+        this.parseError = new Signal(null);
+        this.touched = new Signal(false);
+        this.pending = null;
+
+        this.error = computed(() => this.parseError.read() || this.validate(this.form.values.read()));
+        this.valid = computed(() => this.error.read() === null);
+        this.dirty = computed(() => !Object.is(this.value.read(), this.initialValue));
+    }
+
+    /**
+     * Runs the field's validators against the values of the whole form.
+     * Validators receive an empty oldState, since a form has no committed state to compare with, and as newState the
+     * fields that have a value. A field whose value is undefined, e.g. an empty input read by an optional parser,
+     * is left out, so requiredFieldsValidator reports it as missing.
+     * @param {Object} values The current value of every field, keyed by field name.
+     * @returns {string|null} The first error message, or null if every validator passes.
+     */
+    validate(values) {
+        const present = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+        for (const validator of this.validators) {
+            const result = validator({}, present);
+            if (result !== true) {
+                return result;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Sets the field from user input. The input is parsed, and a parse failure is reported through the error signal
+     * while the value keeps its last successfully parsed state.
+     * With asynchronous parsers the error signal is updated once parsing settles, unless newer input was given meanwhile.
+     * @param {any} input The raw input.
+     * @returns {WriteResult|Promise<WriteResult>} The outcome of writing the parsed input to the value signal,
+     * as a Promise if a parser was asynchronous.
+     */
+    input(input) {
+        return batch(() => {
+            this.raw.write(input);
+            const result = this.value.write(input);
+            if (!isThenable(result)) {
+                this.pending = null;
+                return this.reportParse(result);
+            }
+            const pending = result.then((settled) => {
+                if (this.pending === pending) {
+                    this.pending = null;
+                }
+                return this.reportParse(settled);
+            });
+            this.pending = pending;
+            return pending;
+        });
+    }
+
+    /**
+     * Waits until the field's input has been parsed, including input given while waiting.
+     * @returns {Promise<void>} Resolves once no asynchronous parse of the field is pending.
+     */
+    async settled() {
+        while (this.pending !== null) {
+            await this.pending;
+        }
+    }
+
+    /**
+     * Shows the parse failure of a write through the error signal, or clears it if the write was accepted.
+     * A cancelled write is ignored, since the newer input it gave way to reports its own outcome.
+     * @param {WriteResult} result The outcome of the write.
+     * @returns {WriteResult} The same outcome.
+     */
+    reportParse(result) {
+        if (!result.cancelled) {
+            const parseError = result.accepted ? null : result.errors[0].message;
+            if (this.parseError.value !== parseError) {
+                this.parseError.write(parseError);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Marks the field as touched, typically when it loses focus.
+     */
+    touch() {
+        if (!this.touched.value) {
+            this.touched.write(true);
+        }
+    }
+
+    /**
+     * Restores the initial value and clears the touched state and any parse error.
+     * Input still being parsed is discarded, so it cannot overwrite the initial value once it settles.
+     */
+    reset() {
+        this.value.cancel();
+        this.pending = null;
+        batch(() => {
+            this.raw.write(this.initialValue);
+            this.value.commit(this.initialValue);
+            this.parseError.write(null);
+            this.touched.write(false);
+        });
+    }
+}
+
+/**
+ * Represents a form model built on signals. Each field is parsed and validated as it is edited, and the form
+ * aggregates the state of its fields into values, errors, isValid and isDirty signals.
+ *
+ * Field validators receive the values of every field, so cross-field rules such as matchOtherFieldValidator
+ * work without extra wiring and re-run whenever either field changes.
+ * @class
+ */
+export class Form {
+    /**
+     * Creates an instance of Form.
+     * @param {Object<string, Object>} fields The configuration of each field, keyed by field name. See FormField.
+     */
+    constructor(fields) {
+        this.fields = {};
+        this.values = computed(() => {
+            const values = {};
+            for (const [name, field] of Object.entries(this.fields)) {
+                values[name] = field.value.read();
+            }
+            return values;
+        });
+        for (const [name, config] of Object.entries(fields)) {
+            this.fields[name] = new FormField(this, name, config);
+        }
+
+        this.errors = computed(() => {
+            const errors = {};
+            for (const [name, field] of Object.entries(this.fields)) {
+                const error = field.error.read();
+                if (error !== null) {
+                    errors[name] = error;
+                }
+            }
+            return errors;
+        });
+        this.isValid = computed(() => Object.keys(this.errors.read()).length === 0);
+        this.isDirty = computed(() => Object.values(this.fields).some(field => field.dirty.read()));
+        this.submitting = new Signal(false);
+    }
+
+    /**
+     * Returns a field by name.
+     * @param {string} name The name of the field.
+     * @returns {FormField} The field.
+     * @throws {Error} Throws an error if the form has no such field.
+     */
+    field(name) {
+        if (!(name in this.fields)) {
+            throw new Error(`Unknown field "${name}"`);
+        }
+        return this.fields[name];
+    }
+
+    /**
+     * Restores every field to its initial value and clears touched states and parse errors.
+     */
+    reset() {
+        batch(() => {
+            for (const field of Object.values(this.fields)) {
+                field.reset();
+            }
+        });
+    }
+
+    /**
+     * Marks every field as touched, waits for input that is still being parsed and, if the form is valid,
+     * calls the handler with its values.
+     * While a Promise returned by the handler is pending, the submitting signal reads true.
+     * @param {Function} handler The function to call with the values of the form.
+     * @returns {Promise<{submitted: boolean, errors: Object<string, string>, result: any}>} Whether the handler was called,
+     * the errors that prevented it otherwise, and what the handler returned.
+     */
+    async submit(handler) {
+        batch(() => {
+            for (const field of Object.values(this.fields)) {
+                field.touch();
+            }
+        });
+        await Promise.all(Object.values(this.fields).map(field => field.settled()));
+
+        if (!this.isValid.read()) {
+            return { submitted: false, errors: this.errors.read(), result: undefined };
+        }
+
+        this.submitting.write(true);
+        try {
+            const result = await handler(this.values.read());
+            return { submitted: true, errors: {}, result };
+        } finally {
+            this.submitting.write(false);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,151 @@
+import { isThenable, chain } from '../AOP/Thenable.js';
+
+/**
+ * Runs a parser, turning a thrown error or a rejected Promise into a failure record.
+ * @param {Function} parser - The parser.
+ * @param {any} input - The input.
+ * @param {Object} [options] - The options passed on to the parser.
+ * @returns {{value: any}|{error: Error}|Promise<{value: any}|{error: Error}>} - The parsed value or the error.
+ */
+const attempt = (parser, input, options) => {
+    let result;
+    try {
+        result = parser(input, options);
+    } catch (error) {
+        return { error };
+    }
+    return isThenable(result) ? Promise.resolve(result).then(value => ({ value }), error => ({ error })) : { value: result };
+};
+
+/**
+ * Runs attempt for each item, waiting only if one of them is asynchronous.
+ * @param {any[]} items - The items.
+ * @param {Function} fn - Returns the attempt for an item and its index.
+ * @returns {Object[]|Promise<Object[]>} - The attempts, in order.
+ */
+const attemptAll = (items, fn) => {
+    const attempts = items.map(fn);
+    return attempts.some(isThenable) ? Promise.all(attempts) : attempts;
+};
+
+/**
+ * Creates an error listing the failures of several parts of an input.
+ * Failures of nested combinators are listed with their full path.
+ * @param {string} message - The summary, followed by the failures.
+ * @param {{path: string, error: Error}[]} failures - The failing parts.
+ * @returns {Error} - The error, with an errors property listing { path, message } for each failure.
+ */
+const aggregateError = (message, failures) => {
+    const errors = failures.flatMap(({ path, error }) => (Array.isArray(error.errors)
+        ? error.errors.map(nested => ({ path: `${path}.${nested.path}`, message: nested.message }))
+        : [{ path, message: error.message }]));
+    const error = new Error(`${message}: ${errors.map(({ path, message: text }) => `${path}: ${text}`).join('; ')}`);
+    error.errors = errors;
+    return error;
+};
+
+/**
+ * Creates a parser that runs several parsers in order, each receiving the result of the one before.
+ * Any parser may be asynchronous, in which case the combined parser returns a Promise.
+ * @param {...Function} parsers - The parsers.
+ * @returns {Function} - The combined parser.
+ * @example
+ * const quantity = pipe(createStringParser({ trim: true }), createIntegerParser({ strict: true }), positiveIntegerParser);
+ */
+export const pipe = (...parsers) => (input, options) => parsers.reduce((value, parser) => chain(value, resolved => parser(resolved, options)), input);
+
+/**
+ * Checks whether an input counts as missing: undefined, null, or a string of nothing but whitespace.
+ * @param {any} input - The input.
+ * @returns {boolean} - True if the input is missing.
+ */
+const isMissing = (input) => input === undefined || input === null || (typeof input === 'string' && input.trim() === '');
+
+/**
+ * Creates a parser that accepts a missing input, returning undefined for it, and parses anything else.
+ * An input is missing if it is undefined, null, or a string of nothing but whitespace, such as an empty form field.
+ * @param {Function} parser - The parser for inputs that are present.
+ * @returns {Function} - The optional parser.
+ */
+export const optional = (parser) => (input, options) => (isMissing(input) ? undefined : parser(input, options));
+
+/**
+ * Creates a parser that returns a default value for a missing input, and parses anything else. See optional.
+ * @param {Function} parser - The parser for inputs that are present.
+ * @param {any|Function} defaultValue - The default value, or a function returning it, called on every missing input,
+ * e.g. to create a fresh array each time.
+ * @returns {Function} - The parser.
+ */
+export const withDefault = (parser, defaultValue) => (input, options) => {
+    if (isMissing(input)) {
+        return typeof defaultValue === 'function' ? defaultValue() : defaultValue;
+    }
+    return parser(input, options);
+};
+
+/**
+ * Creates a parser that tries several parsers in order and returns the result of the first that succeeds.
+ * @param {...Function} parsers - The alternatives.
+ * @returns {Function} - The union parser. It throws an error listing every alternative's failure if none succeeds.
+ * @example
+ * const limit = oneOf(createIntegerParser({ strict: true }), createBooleanParser({ truthy: ['yes'], falsy: ['no'] }));
+ */
+export const oneOf = (...parsers) => (input, options) => {
+    const failures = [];
+    const tryFrom = (index) => {
+        if (index === parsers.length) {
+            throw aggregateError("No alternative matched", failures);
+        }
+        return chain(attempt(parsers[index], input, options), (outcome) => {
+            if ('error' in outcome) {
+                failures.push({ path: String(index), error: outcome.error });
+                return tryFrom(index + 1);
+            }
+            return outcome.value;
+        });
+    };
+    return tryFrom(0);
+};
+
+/**
+ * Creates a parser for arrays that applies a parser to each element.
+ * @param {Function} parser - The parser for the elements.
+ * @returns {Function} - The array parser. It throws an error listing each failing element by index,
+ * or if the input is not an array.
+ */
+export const arrayOf = (parser) => (input, options) => {
+    if (!Array.isArray(input)) {
+        throw new Error("Input must be an array");
+    }
+    return chain(attemptAll(input, item => attempt(parser, item, options)), (outcomes) => {
+        const failures = outcomes.flatMap((outcome, index) => ('error' in outcome ? [{ path: String(index), error: outcome.error }] : []));
+        if (failures.length > 0) {
+            throw aggregateError("Invalid array", failures);
+        }
+        return outcomes.map(outcome => outcome.value);
+    });
+};
+
+/**
+ * Creates a parser for objects that applies a parser to each property of a shape.
+ * Properties that are not in the shape are dropped, and missing ones are passed to their parser as undefined,
+ * so wrap them in optional or withDefault to allow leaving them out.
+ * @param {Object<string, Function>} shape - The parser for each property.
+ * @returns {Function} - The object parser. It throws an error listing each failing property by name,
+ * or if the input is not an object.
+ * @example
+ * const address = objectOf({ street: createStringParser({ lowercase: false }), zip: optional(createIntegerParser({ strict: true })) });
+ */
+export const objectOf = (shape) => (input, options) => {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error("Input must be an object");
+    }
+    const keys = Object.keys(shape);
+    return chain(attemptAll(keys, key => attempt(shape[key], input[key], options)), (outcomes) => {
+        const failures = outcomes.flatMap((outcome, index) => ('error' in outcome ? [{ path: keys[index], error: outcome.error }] : []));
+        if (failures.length > 0) {
+            throw aggregateError("Invalid object", failures);
+        }
+        return Object.fromEntries(keys.map((key, index) => [key, outcomes[index].value]));
+    });
+};
\ No newline at end of file
@@ -0,0 +1,286 @@
+import { toAsciiDigits, monthNames, dayPeriods } from './Locale.js';
+
+/**
+ * The English names of the months, for error messages.
+ * @type {string[]}
+ */
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Describes the tokens of a format pattern: the field each one sets and how it is read.
+ * Numeric tokens give the number of digits they accept.
+ * @type {Object<string, {field: string, label: string, digits: (number[]|undefined)}>}
+ */
+const TOKENS = {
+    YYYY: { field: 'year', label: '4-digit year', digits: [4, 4] },
+    YY: { field: 'year', label: '2-digit year', digits: [2, 2] },
+    MMMM: { field: 'month', label: 'month name' },
+    MMM: { field: 'month', label: 'month name' },
+    MM: { field: 'month', label: '2-digit month', digits: [2, 2] },
+    M: { field: 'month', label: 'month', digits: [1, 2] },
+    DD: { field: 'day', label: '2-digit day', digits: [2, 2] },
+    D: { field: 'day', label: 'day', digits: [1, 2] },
+    HH: { field: 'hour', label: '2-digit hour', digits: [2, 2] },
+    H: { field: 'hour', label: 'hour', digits: [1, 2] },
+    hh: { field: 'hour12', label: '2-digit hour', digits: [2, 2] },
+    h: { field: 'hour12', label: 'hour', digits: [1, 2] },
+    mm: { field: 'minute', label: '2-digit minutes', digits: [2, 2] },
+    m: { field: 'minute', label: 'minutes', digits: [1, 2] },
+    ss: { field: 'second', label: '2-digit seconds', digits: [2, 2] },
+    s: { field: 'second', label: 'seconds', digits: [1, 2] },
+    SSS: { field: 'millisecond', label: '3-digit milliseconds', digits: [3, 3] },
+    A: { field: 'period', label: 'AM or PM' },
+    Z: { field: 'offset', label: 'time zone offset such as Z or +02:00' }
+};
+
+/**
+ * Splits a format pattern into tokens and literal text. Text in square brackets is always literal.
+ * @param {string} format - The pattern, e.g. 'DD.MM.YYYY HH:mm'.
+ * @returns {Array<{token: string}|{literal: string}>} - The parts of the pattern.
+ */
+const compile = (format) => {
+    const parts = [];
+    for (const [match, escaped] of format.matchAll(/\[([^\]]*)]|YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|hh|h|mm|m|ss|s|SSS|A|Z|./gs)) {
+        const literal = escaped !== undefined ? escaped : (TOKENS[match] ? undefined : match);
+        if (literal === undefined) {
+            parts.push({ token: match });
+        } else if (parts.length > 0 && parts[parts.length - 1].literal !== undefined) {
+            parts[parts.length - 1].literal += literal;
+        } else {
+            parts.push({ literal });
+        }
+    }
+    return parts;
+};
+
+/**
+ * Returns the fields a format pattern sets, e.g. to check that a date format has a year, a month and a day.
+ * @param {string} format - The pattern.
+ * @returns {Set<string>} - The fields: year, month, day, hour, minute, second, millisecond and offset.
+ */
+export const formatFields = (format) => new Set(compile(format)
+    .filter(part => part.token)
+    .map(part => (TOKENS[part.token].field === 'hour12' ? 'hour' : TOKENS[part.token].field))
+    .filter(field => field !== 'period'));
+
+/**
+ * Checks whether a year is a leap year in the Gregorian calendar.
+ * @param {number} year - The year.
+ * @returns {boolean} - True for leap years.
+ */
+export const isLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+
+/**
+ * Returns the number of days of a month in the Gregorian calendar.
+ * @param {number} year - The year.
+ * @param {number} month - The month, from 1 to 12.
+ * @returns {number} - The number of days.
+ */
+export const daysInMonth = (year, month) => (month === 2 ? (isLeapYear(year) ? 29 : 28) : [4, 6, 9, 11].includes(month) ? 30 : 31);
+
+/**
+ * Finds the longest of several names at a position, ignoring case.
+ * @param {string} input - The text.
+ * @param {number} position - Where the name should start.
+ * @param {string[][]} choices - The names of each choice.
+ * @returns {{index: number, length: number}|null} - The index of the matching choice and the length of the name, or null.
+ */
+const matchName = (input, position, choices) => {
+    let best = null;
+    const rest = input.slice(position).toLocaleLowerCase();
+    choices.forEach((names, index) => {
+        for (const name of names) {
+            if (rest.startsWith(name.toLocaleLowerCase()) && (!best || name.length > best.length)) {
+                best = { index, length: name.length };
+            }
+        }
+    });
+    return best;
+};
+
+/**
+ * Reads a date, a time or both from a string in an explicit format, checking that every field is in range
+ * and that the day exists in its month, leap years included.
+ *
+ * Patterns are made of the tokens YYYY, YY, MMMM and MMM (month names in the locale), MM, M, DD, D, HH, H (24-hour clock),
+ * hh, h (12-hour clock, with A for AM/PM), mm, m, ss, s, SSS and Z (Z or an offset such as +02:00). Single-letter numeric tokens
+ * accept one or two digits. Any other character, and text in square brackets, must appear as is; a space matches any amount
+ * of whitespace. Two-digit years are read as 2000 to 2099.
+ * @param {string} input - The text to read.
+ * @param {string} format - The pattern, e.g. 'DD.MM.YYYY HH:mm'.
+ * @param {string} [locale='en-US'] - The locale of month names, day periods and digits.
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, millisecond: number,
+ * offset: (number|undefined)}} - The fields read from the input, in the Gregorian calendar. Missing fields are undefined,
+ * except time fields, which default to 0. The offset is in minutes east of UTC.
+ * @throws {Error} - Throws an error naming the field and position at which the input does not match the format,
+ * or the field that is out of range.
+ */
+export const parseDateFormat = (input, format, locale = 'en-US') => {
+    if (typeof input !== 'string') {
+        throw new Error("Input must be a string");
+    }
+    const text = toAsciiDigits(input.trim(), locale);
+    const values = {};
+    let position = 0;
+
+    const fail = (expected) => {
+        const found = position < text.length ? `"${text.slice(position, position + 10)}"` : 'the end of the input';
+        throw new Error(`Expected ${expected} at position ${position + 1}, found ${found}`);
+    };
+
+    for (const part of compile(format)) {
+        if (part.literal !== undefined) {
+            for (const character of part.literal) {
+                if (/\s/.test(character)) {
+                    while (position < text.length && /\s/.test(text[position])) {
+                        position++;
+                    }
+                } else if (text[position] !== undefined && text[position].toLowerCase() === character.toLowerCase()) {
+                    position++;
+                } else {
+                    fail(`"${character}"`);
+                }
+            }
+            continue;
+        }
+
+        const { field, label, digits } = TOKENS[part.token];
+        if (digits) {
+            const [min, max] = digits;
+            const match = text.slice(position).match(new RegExp(`^\\d{${min},${max}}`));
+            if (!match) {
+                fail(label);
+            }
+            values[field] = Number(match[0]) + (part.token === 'YY' ? 2000 : 0);
+            position += match[0].length;
+        } else if (field === 'month') {
+            const match = matchName(text, position, monthNames(locale, part.token === 'MMMM' ? 'long' : 'short'))
+                || matchName(text, position, monthNames(locale, part.token === 'MMMM' ? 'short' : 'long'));
+            if (!match) {
+                fail(label);
+            }
+            values.month = match.index + 1;
+            position += match.length;
+        } else if (field === 'period') {
+            const { am, pm } = dayPeriods(locale);
+            const match = matchName(text, position, [am, pm]);
+            if (!match) {
+                fail(label);
+            }
+            values.period = match.index === 0 ? 'am' : 'pm';
+            position += match.length;
+        } else {
+            const match = text.slice(position).match(/^(?:Z|([+-])(\d{2}):?(\d{2}))/i);
+            if (!match) {
+                fail(label);
+            }
+            values.offset = match[1] ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+            position += match[0].length;
+        }
+    }
+    if (position < text.length) {
+        throw new Error(`Unexpected "${text.slice(position, position + 10)}" at position ${position + 1}`);
+    }
+
+    if (values.hour12 !== undefined) {
+        if (values.hour12 < 1 || values.hour12 > 12) {
+            throw new Error(`Hour ${values.hour12} is out of range (1-12)`);
+        }
+        values.hour = (values.hour12 % 12) + (values.period === 'pm' ? 12 : 0);
+    }
+    const { year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0, offset } = values;
+    if (month !== undefined && (month < 1 || month > 12)) {
+        throw new Error(`Month ${month} is out of range (1-12)`);
+    }
+    if (day !== undefined) {
+        if (day < 1 || day > 31) {
+            throw new Error(`Day ${day} is out of range (1-31)`);
+        }
+        if (month !== undefined && year !== undefined && day > daysInMonth(year, month)) {
+            throw new Error(`${MONTHS[month - 1]} ${year} has only ${daysInMonth(year, month)} days`);
+        }
+        if (month !== undefined && day > daysInMonth(2000, month)) {
+            throw new Error(`${MONTHS[month - 1]} has only ${daysInMonth(2000, month)} days`);
+        }
+    }
+    if (hour > 23) {
+        throw new Error(`Hour ${hour} is out of range (0-23)`);
+    }
+    if (minute > 59) {
+        throw new Error(`Minute ${minute} is out of range (0-59)`);
+    }
+    if (second > 59) {
+        throw new Error(`Second ${second} is out of range (0-59)`);
+    }
+    if (offset !== undefined && Math.abs(offset) > 18 * 60) {
+        throw new Error("Time zone offset is out of range (-18:00 to +18:00)");
+    }
+    return { year, month, day, hour, minute, second, millisecond, offset };
+};
+
+/**
+ * Formatters reading the wall-clock time in a time zone, cached per zone.
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const zoneFormats = new Map();
+
+/**
+ * Returns a formatter reading the wall-clock time in a time zone.
+ * @param {string} timeZone - The IANA time zone, e.g. 'Europe/Berlin'.
+ * @returns {Intl.DateTimeFormat} - The formatter.
+ * @throws {Error} - Throws an error if the time zone is unknown.
+ */
+const zoneFormat = (timeZone) => {
+    if (!zoneFormats.has(timeZone)) {
+        try {
+            zoneFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+            }));
+        } catch (error) {
+            throw new Error(`Unknown time zone "${timeZone}"`);
+        }
+    }
+    return zoneFormats.get(timeZone);
+};
+
+/**
+ * Checks that a time zone is known, so a misconfigured parser fails when it is created rather than on every input.
+ * @param {string} timeZone - The IANA time zone.
+ * @throws {Error} - Throws an error if the time zone is unknown.
+ */
+export const assertTimeZone = (timeZone) => {
+    zoneFormat(timeZone);
+};
+
+/**
+ * Returns the wall-clock time of an instant in a time zone, as if that wall-clock time were UTC.
+ * @param {number} instant - The instant, in milliseconds since the epoch.
+ * @param {string} timeZone - The IANA time zone.
+ * @returns {number} - The wall-clock time, in milliseconds since the epoch.
+ */
+const wallClock = (instant, timeZone) => {
+    const fields = {};
+    for (const { type, value } of zoneFormat(timeZone).formatToParts(instant)) {
+        fields[type] = Number(value);
+    }
+    return Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second) + (((instant % 1000) + 1000) % 1000);
+};
+
+/**
+ * Converts a wall-clock date and time in a time zone to an instant. Daylight saving time is taken into account.
+ * @param {{year: number, month: number, day: number, hour: number, minute: number, second: number, millisecond: number}} fields
+ * - The date and time, as returned by parseDateFormat.
+ * @param {string} timeZone - The IANA time zone, e.g. 'Europe/Berlin'.
+ * @returns {number} - The instant, in milliseconds since the epoch.
+ * @throws {Error} - Throws an error if the time does not exist in the time zone, because the clocks were put forward.
+ */
+export const zonedTimeToInstant = ({ year, month, day, hour, minute, second, millisecond }, timeZone) => {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+    // The offset at the wall-clock time read as UTC is close enough to find the offset at the instant itself
+    let instant = wall - (wallClock(wall, timeZone) - wall);
+    instant = wall - (wallClock(instant, timeZone) - instant);
+    if (wallClock(instant, timeZone) !== wall) {
+        throw new Error(`${new Date(wall).toISOString().slice(0, 16).replace('T', ' ')} does not exist in ${timeZone} because of a daylight saving time change`);
+    }
+    return instant;
+};
\ No newline at end of file
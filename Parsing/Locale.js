@@ -0,0 +1,138 @@
+/**
+ * Locale data derived from Intl, cached per locale.
+ * @type {Map<string, any>}
+ */
+const cache = new Map();
+
+/**
+ * Returns the cached value for a key, creating it on first use.
+ * @param {string} key - The cache key.
+ * @param {Function} create - Creates the value.
+ * @returns {any} - The cached value.
+ */
+const cached = (key, create) => {
+    if (!cache.has(key)) {
+        cache.set(key, create());
+    }
+    return cache.get(key);
+};
+
+/**
+ * Returns the value of the first part of a type in the output of formatToParts.
+ * @param {Object[]} parts - The parts.
+ * @param {string} type - The part type.
+ * @returns {string|undefined} - The value of the part, if there is one.
+ */
+const partOf = (parts, type) => {
+    const part = parts.find(candidate => candidate.type === type);
+    return part && part.value;
+};
+
+/**
+ * Returns the symbols a locale uses to write numbers.
+ * @param {string} locale - The BCP 47 locale, e.g. 'de-DE'.
+ * @returns {{digits: string[], group: string, groupSizes: number[], decimal: string, minus: string, percent: string}} - The locale's
+ * digits from 0 to 9, grouping separator, the sizes of the last group of the integer part and of the groups before it,
+ * e.g. [3, 2] for the Indian system, decimal separator, minus sign and percent sign.
+ * @throws {RangeError} - Throws an error if the locale is invalid.
+ */
+export const numberSymbols = (locale) => cached(`number:${locale}`, () => {
+    const parts = new Intl.NumberFormat(locale).formatToParts(-1234567.5);
+    const plain = new Intl.NumberFormat(locale, { useGrouping: false });
+    const integers = new Intl.NumberFormat(locale).formatToParts(1234567890).filter(part => part.type === 'integer');
+    const sizes = integers.map(part => part.value.length);
+    return {
+        digits: Array.from({ length: 10 }, (_, digit) => plain.format(digit)),
+        group: partOf(parts, 'group') || '',
+        groupSizes: sizes.length > 2 ? [sizes[sizes.length - 1], sizes[sizes.length - 2]] : [3, 3],
+        decimal: partOf(parts, 'decimal') || '.',
+        minus: partOf(parts, 'minusSign') || '-',
+        percent: partOf(new Intl.NumberFormat(locale, { style: 'percent' }).formatToParts(0.5), 'percentSign') || '%'
+    };
+});
+
+/**
+ * Replaces the locale's native digits, e.g. Arabic-Indic ones, with ASCII digits.
+ * @param {string} input - The text.
+ * @param {string} locale - The BCP 47 locale.
+ * @returns {string} - The text with ASCII digits.
+ */
+export const toAsciiDigits = (input, locale) => {
+    const { digits } = numberSymbols(locale);
+    if (digits[0] === '0') {
+        return input;
+    }
+    return [...input].map(character => {
+        const digit = digits.indexOf(character);
+        return digit === -1 ? character : String(digit);
+    }).join('');
+};
+
+/**
+ * Returns the names a locale gives each month, both on their own and inside a date, where some languages inflect them.
+ * @param {string} locale - The BCP 47 locale.
+ * @param {'long'|'short'} width - Full names or abbreviations.
+ * @returns {string[][]} - For each month from January, its names.
+ */
+export const monthNames = (locale, width) => cached(`months:${width}:${locale}`, () => {
+    const standalone = new Intl.DateTimeFormat(locale, { month: width, timeZone: 'UTC' });
+    const inDate = new Intl.DateTimeFormat(locale, { day: 'numeric', month: width, timeZone: 'UTC' });
+    return Array.from({ length: 12 }, (_, month) => {
+        const date = Date.UTC(2000, month, 15);
+        const names = [partOf(standalone.formatToParts(date), 'month'), partOf(inDate.formatToParts(date), 'month')]
+            .filter(Boolean)
+            .flatMap(name => [name, name.replace(/\.$/, '')]);
+        return [...new Set(names)];
+    });
+});
+
+/**
+ * Returns the names a locale gives the two halves of the day on a 12-hour clock. English AM and PM are always included.
+ * @param {string} locale - The BCP 47 locale.
+ * @returns {{am: string[], pm: string[]}} - The names of the morning and the afternoon period.
+ */
+export const dayPeriods = (locale) => cached(`periods:${locale}`, () => {
+    const format = new Intl.DateTimeFormat(locale, { hour: 'numeric', hour12: true, timeZone: 'UTC' });
+    const period = (hour, english) => [...new Set([partOf(format.formatToParts(Date.UTC(2000, 0, 1, hour)), 'dayPeriod'), english]
+        .filter(Boolean))];
+    return { am: period(1, 'AM'), pm: period(13, 'PM') };
+});
+
+/**
+ * Builds a format pattern, as understood by DateFormat.js, from the way a locale writes dates and times.
+ * @param {string} locale - The BCP 47 locale.
+ * @param {Object} fields - The Intl.DateTimeFormat options selecting the fields, all numeric.
+ * @returns {string} - The pattern, e.g. 'M/D/YYYY' for 'en-US' dates.
+ */
+const patternOf = (locale, fields) => {
+    const format = new Intl.DateTimeFormat(locale, { ...fields, timeZone: 'UTC' });
+    const twelveHour = format.resolvedOptions().hour12 === true;
+    const tokens = { year: 'YYYY', month: 'M', day: 'D', hour: twelveHour ? 'h' : 'H', minute: 'mm', second: 'ss', dayPeriod: 'A' };
+    return format.formatToParts(Date.UTC(2001, 10, 22, 13, 45, 30))
+        .map(part => tokens[part.type] || (/[A-Za-z[\]]/.test(part.value) ? `[${part.value}]` : part.value))
+        .join('');
+};
+
+/**
+ * Returns the pattern a locale writes numeric dates in, e.g. 'D.M.YYYY' for 'de-DE'.
+ * @param {string} locale - The BCP 47 locale.
+ * @returns {string} - The pattern.
+ */
+export const datePattern = (locale) => cached(`datePattern:${locale}`,
+    () => patternOf(locale, { year: 'numeric', month: 'numeric', day: 'numeric' }));
+
+/**
+ * Returns the pattern a locale writes times of day in, to the minute, e.g. 'h:mm A' for 'en-US'.
+ * @param {string} locale - The BCP 47 locale.
+ * @returns {string} - The pattern.
+ */
+export const timePattern = (locale) => cached(`timePattern:${locale}`,
+    () => patternOf(locale, { hour: 'numeric', minute: '2-digit' }));
+
+/**
+ * Returns the pattern a locale writes numeric dates with a time of day in, e.g. 'M/D/YYYY, h:mm A' for 'en-US'.
+ * @param {string} locale - The BCP 47 locale.
+ * @returns {string} - The pattern.
+ */
+export const dateTimePattern = (locale) => cached(`dateTimePattern:${locale}`,
+    () => patternOf(locale, { year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' }));
\ No newline at end of file
@@ -0,0 +1,249 @@
+import { numberSymbols, toAsciiDigits, datePattern, timePattern, dateTimePattern } from './Locale.js';
+import { parseDateFormat, formatFields, zonedTimeToInstant, assertTimeZone } from './DateFormat.js';
+
+/**
+ * The currencies recognised by localeCurrencyParser when none are configured, in order of precedence
+ * for symbols shared by several of them.
+ * @type {string[]}
+ */
+const DEFAULT_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CNY', 'INR', 'CAD', 'AUD'];
+
+/**
+ * Pads a number with leading zeros.
+ * @param {number} value - The number.
+ * @param {number} [length=2] - The minimum number of digits.
+ * @returns {string} - The padded number.
+ */
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Reads a number written the way a locale writes them, with its grouping and decimal separators, minus sign and digits.
+ * Grouping separators are optional, but where they are used the groups must have the locale's sizes, so "1,2,3" is
+ * rejected in English and "12,34,567" is only read in locales using the Indian system.
+ * @param {string} input - The text, without currency or percent signs.
+ * @param {string} locale - The BCP 47 locale.
+ * @returns {{value: number, normalized: string, fractionDigits: number}} - The number, its plain decimal form
+ * and the number of digits after the decimal separator.
+ * @throws {Error} - Throws an error naming the character and position that do not belong in a number,
+ * or the grouping separator next to a group of the wrong size.
+ */
+const readNumber = (input, locale) => {
+    const { group, groupSizes: [primary, secondary], decimal, minus } = numberSymbols(locale);
+    // Locales grouping with a space use a no-break space, which users rarely type
+    const groups = /\s/.test(group) ? [group, ' ', ' ', ' '] : [group];
+    const text = toAsciiDigits(input.trim(), locale);
+    if (text === '') {
+        throw new Error("Input is empty");
+    }
+
+    let normalized = '';
+    let fractionDigits = 0;
+    let decimalSeen = false;
+    // The digits of each group of the integer part, and the position of the separator before each group after the first
+    const integerGroups = [''];
+    const separators = [];
+    [...text].forEach((character, index) => {
+        const position = index + 1;
+        if (/[0-9]/.test(character)) {
+            normalized += character;
+            fractionDigits += decimalSeen ? 1 : 0;
+            if (!decimalSeen) {
+                integerGroups[integerGroups.length - 1] += character;
+            }
+        } else if (index === 0 && [minus, '-', '−', '+'].includes(character)) {
+            normalized += character === '+' ? '' : '-';
+        } else if (character === decimal) {
+            if (decimalSeen) {
+                throw new Error(`Unexpected second decimal separator "${decimal}" at position ${position}`);
+            }
+            decimalSeen = true;
+            normalized += '.';
+        } else if (group !== '' && groups.includes(character)) {
+            if (decimalSeen) {
+                throw new Error(`Unexpected grouping separator "${character}" after the decimal separator at position ${position}`);
+            }
+            if (!/[0-9]/.test(text[index - 1] || '') || !/[0-9]/.test(text[index + 1] || '')) {
+                throw new Error(`Grouping separator "${character}" at position ${position} must be between digits`);
+            }
+            integerGroups.push('');
+            separators.push(position);
+        } else {
+            throw new Error(`Unexpected character "${character}" at position ${position}`);
+        }
+    });
+
+    if (!/[0-9]/.test(normalized)) {
+        throw new Error("Input contains no digits");
+    }
+    if (separators.length > 0) {
+        if (integerGroups[0].length > secondary) {
+            throw new Error(`Expected at most ${secondary} digits before the grouping separator at position ${separators[0]}`);
+        }
+        integerGroups.slice(1).forEach((digits, index) => {
+            const size = index === integerGroups.length - 2 ? primary : secondary;
+            if (digits.length !== size) {
+                throw new Error(`Expected ${size} digits after the grouping separator at position ${separators[index]}`);
+            }
+        });
+    }
+    return { value: Number(normalized), normalized, fractionDigits };
+};
+
+/**
+ * Creates a parser for numbers written the way a locale writes them, e.g. "1.234,56" in German or "1,234.56" in English.
+ * @param {string} [locale='en-US'] - The BCP 47 locale.
+ * @returns {Function} - A parser that returns the number, or throws an error naming the character that does not belong in it.
+ */
+export const localeNumberParser = (locale = 'en-US') => {
+    numberSymbols(locale);
+    return (input) => {
+        if (typeof input === 'number' && Number.isFinite(input)) return input;
+        if (typeof input !== 'string') throw new Error("Input must be a string");
+        return readNumber(input, locale).value;
+    };
+};
+
+/**
+ * Creates a parser for amounts of money written the way a locale writes them, with a currency symbol or code,
+ * e.g. "1.234,56 €" in German or "$1,234.56" in English.
+ * @param {string} [locale='en-US'] - The BCP 47 locale.
+ * @param {Object} [options={}] - The parser options.
+ * @param {string} [options.currency] - The ISO 4217 code assumed when the input has no symbol or code. Without it, one is required.
+ * @param {string[]} [options.currencies] - The codes accepted. Defaults to the currency option, or to a list of major currencies.
+ * When several share a symbol in the locale, the one listed first wins.
+ * @returns {Function} - A parser that returns { amount, currency }, or throws an error if the amount is malformed,
+ * the currency is missing, or the amount has more decimal places than the currency allows.
+ */
+export const localeCurrencyParser = (locale = 'en-US', { currency, currencies = currency ? [currency] : DEFAULT_CURRENCIES } = {}) => {
+    const notations = [];
+    for (const code of currencies) {
+        const names = [code];
+        for (const currencyDisplay of ['symbol', 'narrowSymbol']) {
+            const parts = new Intl.NumberFormat(locale, { style: 'currency', currency: code, currencyDisplay }).formatToParts(1);
+            names.push(parts.find(part => part.type === 'currency').value);
+        }
+        for (const name of new Set(names)) {
+            if (!notations.some(notation => notation.name === name)) {
+                notations.push({ name, code });
+            }
+        }
+    }
+    // Longest first, so "CA$" is not read as "$"
+    notations.sort((a, b) => b.name.length - a.name.length);
+
+    return (input) => {
+        if (typeof input !== 'string') throw new Error("Input must be a string");
+        let amountText = input;
+        let code = currency;
+        const found = notations.find(notation => input.toUpperCase().includes(notation.name.toUpperCase()));
+        if (found) {
+            const index = input.toUpperCase().indexOf(found.name.toUpperCase());
+            amountText = input.slice(0, index) + input.slice(index + found.name.length);
+            code = found.code;
+        }
+        if (code === undefined) {
+            throw new Error(`Missing currency, expected one of ${currencies.join(', ')}`);
+        }
+
+        const { value, fractionDigits } = readNumber(amountText, locale);
+        const { maximumFractionDigits } = new Intl.NumberFormat(locale, { style: 'currency', currency: code }).resolvedOptions();
+        if (fractionDigits > maximumFractionDigits) {
+            throw new Error(`${code} amounts cannot have more than ${maximumFractionDigits} decimal places`);
+        }
+        return { amount: value, currency: code };
+    };
+};
+
+/**
+ * Creates a parser for percentages written the way a locale writes them, e.g. "12,5 %" in German.
+ * @param {string} [locale='en-US'] - The BCP 47 locale.
+ * @param {Object} [options={}] - The parser options.
+ * @param {boolean} [options.requireSign=false] - Whether the percent sign is required.
+ * @returns {Function} - A parser that returns the fraction, e.g. 0.125 for "12.5%", or throws an error.
+ */
+export const localePercentParser = (locale = 'en-US', { requireSign = false } = {}) => {
+    const { percent } = numberSymbols(locale);
+    return (input) => {
+        if (typeof input !== 'string') throw new Error("Input must be a string");
+        const text = input.trim();
+        const sign = [percent, '%'].find(candidate => text.startsWith(candidate) || text.endsWith(candidate));
+        if (!sign && requireSign) {
+            throw new Error(`Missing percent sign "${percent}"`);
+        }
+        const number = sign ? (text.startsWith(sign) ? text.slice(sign.length) : text.slice(0, -sign.length)) : text;
+        // Shifting the exponent keeps the decimal digits exact, where dividing by 100 would not
+        return Number(`${readNumber(number, locale).normalized}e-2`);
+    };
+};
+
+/**
+ * Checks that a format pattern sets the fields a parser needs.
+ * @param {string} format - The pattern.
+ * @param {string[]} required - The fields.
+ * @throws {Error} - Throws an error naming the first missing field.
+ */
+const assertFields = (format, required) => {
+    const fields = formatFields(format);
+    const missing = required.find(field => !fields.has(field));
+    if (missing) {
+        throw new Error(`Format "${format}" has no ${missing}`);
+    }
+};
+
+/**
+ * Creates a parser for calendar dates in an explicit format, or in the way the locale writes numeric dates.
+ * Unlike dateParser, ambiguous input is rejected and no time zone conversion takes place.
+ * @param {string} [locale='en-US'] - The BCP 47 locale, used for the default format, month names and digits.
+ * @param {Object} [options={}] - The parser options.
+ * @param {string} [options.format] - The pattern, e.g. 'DD.MM.YYYY' or 'D MMMM YYYY'. See parseDateFormat in DateFormat.js.
+ * Defaults to the locale's numeric date format, e.g. 'M/D/YYYY' for 'en-US'.
+ * @returns {Function} - A parser that returns the date in YYYY-MM-DD format, or throws an error naming the position
+ * where the input does not match or the field that is out of range, e.g. "February 2023 has only 28 days".
+ * @throws {Error} - Throws an error if the format has no year, month or day.
+ */
+export const localeDateParser = (locale = 'en-US', { format = datePattern(locale) } = {}) => {
+    assertFields(format, ['year', 'month', 'day']);
+    return (input) => {
+        const { year, month, day } = parseDateFormat(input, format, locale);
+        return `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+    };
+};
+
+/**
+ * Creates a parser for dates with a time of day in an explicit format, or in the way the locale writes them.
+ * The wall-clock time is read in the given time zone, daylight saving time included, unless the input has an offset (token Z).
+ * @param {string} [locale='en-US'] - The BCP 47 locale, used for the default format, month names, day periods and digits.
+ * @param {Object} [options={}] - The parser options.
+ * @param {string} [options.format] - The pattern, e.g. 'DD.MM.YYYY HH:mm'. Defaults to the locale's numeric date and time format.
+ * @param {string} [options.timeZone='UTC'] - The IANA time zone of the input, e.g. 'Europe/Berlin'.
+ * @returns {Function} - A parser that returns the instant in ISO 8601 format, in UTC, or throws an error,
+ * e.g. for a time skipped by a daylight saving time change.
+ * @throws {Error} - Throws an error if the format has no date, hour or minute, or if the time zone is unknown.
+ */
+export const localeDateTimeParser = (locale = 'en-US', { format = dateTimePattern(locale), timeZone = 'UTC' } = {}) => {
+    assertFields(format, ['year', 'month', 'day', 'hour', 'minute']);
+    assertTimeZone(timeZone);
+    return (input) => {
+        const fields = parseDateFormat(input, format, locale);
+        const instant = fields.offset === undefined
+            ? zonedTimeToInstant(fields, timeZone)
+            : Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second, fields.millisecond) - fields.offset * 60000;
+        return new Date(instant).toISOString();
+    };
+};
+
+/**
+ * Creates a parser for times of day in an explicit format, or in the way the locale writes them.
+ * @param {string} [locale='en-US'] - The BCP 47 locale, used for the default format, day periods and digits.
+ * @param {Object} [options={}] - The parser options.
+ * @param {string} [options.format] - The pattern, e.g. 'HH:mm:ss' or 'h:mm A'. Defaults to the locale's format, e.g. 'h:mm A' for 'en-US'.
+ * @returns {Function} - A parser that returns the time in HH:mm:ss format, or throws an error.
+ * @throws {Error} - Throws an error if the format has no hour or minute.
+ */
+export const localeTimeParser = (locale = 'en-US', { format = timePattern(locale) } = {}) => {
+    assertFields(format, ['hour', 'minute']);
+    return (input) => {
+        const { hour, minute, second } = parseDateFormat(input, format, locale);
+        return `${pad(hour)}:${pad(minute)}:${pad(second)}`;
+    };
+};
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { sanitizeHTML } from './Sanitizer.js';
+
 /**
  * Parses a string input into an integer.
  * @param {string} input - The string to be parsed into an integer.
@@ -10,6 +12,32 @@ export const integerParser = (input) => {
     return parsed;
 };
 
+/**
+ * Parses an integer, rejecting anything but optional surrounding whitespace, an optional sign and digits.
+ * @param {string|number} input - The string or number to be parsed into an integer.
+ * @returns {number} - The parsed integer.
+ * @throws {Error} - Throws an error if the input is not entirely an integer.
+ */
+const strictIntegerParser = (input) => {
+    if (typeof input === 'number') {
+        if (!Number.isInteger(input)) throw new Error("Invalid integer");
+        return input;
+    }
+    if (typeof input !== 'string' || !/^\s*[+-]?\d+\s*$/.test(input)) throw new Error("Invalid integer");
+    const parsed = Number(input);
+    if (!Number.isSafeInteger(parsed)) throw new Error("Integer is too large");
+    return parsed;
+};
+
+/**
+ * Creates an integer parser.
+ * @param {Object} [options={}] - The parser options.
+ * @param {boolean} [options.strict=false] - Reject input that is not entirely an integer, such as "12abc" or "1.5",
+ * which parseInt reads as 12 and 1.
+ * @returns {Function} - The parser: strictIntegerParser in strict mode, integerParser otherwise.
+ */
+export const createIntegerParser = ({ strict = false } = {}) => (strict ? strictIntegerParser : integerParser);
+
 /**
  * Parses a string input into a positive integer.
  * @param {string} input - The string to be parsed into a positive integer.
@@ -63,6 +91,29 @@ export const booleanParser = (input) => {
     throw new Error("Invalid boolean");
 };
 
+/**
+ * Creates a boolean parser with its own tokens, e.g. createBooleanParser({ truthy: ['yes', 'on', '1'], falsy: ['no', 'off', '0'] }).
+ * @param {Object} [options={}] - The parser options.
+ * @param {string[]} [options.truthy=['true']] - The tokens read as true.
+ * @param {string[]} [options.falsy=['false']] - The tokens read as false.
+ * @param {boolean} [options.caseSensitive=false] - Whether tokens must match case exactly.
+ * @returns {Function} - The parser. It throws an error listing the tokens if the input is none of them.
+ */
+export const createBooleanParser = ({ truthy = ['true'], falsy = ['false'], caseSensitive = false } = {}) => {
+    const normalize = (token) => (caseSensitive ? token : token.toLowerCase());
+    const truthyTokens = new Set(truthy.map(normalize));
+    const falsyTokens = new Set(falsy.map(normalize));
+    return (input) => {
+        if (typeof input !== 'string') {
+            throw new Error("Invalid input type for boolean parsing");
+        }
+        const token = normalize(input.trim());
+        if (truthyTokens.has(token)) return true;
+        if (falsyTokens.has(token)) return false;
+        throw new Error(`Invalid boolean, expected one of ${[...truthy, ...falsy].join(', ')}`);
+    };
+};
+
 /**
  * Parses a string input into a JSON object.
  * @param {string} input - The string to be parsed into JSON.
@@ -134,20 +185,51 @@ export const currencyParser = (input) => {
 /**
  * Parses a string input and sanitizes it to prevent XSS attacks, normalizes case to lower,
  * and enforces a maximum length.
+ * Sanitization uses the default allowlists of Sanitizer.js in 'strip' mode: markup that is not allowed is removed
+ * and plain text is left as it is, so e.g. "Tom & Jerry" is not encoded. Encode the value when it is shown instead.
+ * See createStringParser to configure these steps.
  * @param {string} input - The string to be parsed and sanitized.
  * @returns {string} - The sanitized, normalized, and length-checked string.
  * @throws {Error} - Throws an error if the input exceeds the maximum length or is not a string.
  */
-export const stringParser = (input) => {
+export const stringParser = (input) => parseString(input, {});
+
+/**
+ * Creates a string parser that sanitizes, normalizes and length-checks as configured,
+ * e.g. createStringParser({ lowercase: false, maxLength: 80, trim: true }).
+ * @param {Object} [options={}] - The parser options.
+ * @param {boolean} [options.lowercase=true] - Whether to convert the string to lower case.
+ * @param {number} [options.maxLength=255] - The maximum length, checked after sanitizing. Infinity disables the check.
+ * @param {boolean} [options.trim=false] - Whether to remove surrounding whitespace.
+ * @param {Object|false} [options.sanitize={}] - The options passed to sanitizeHTML, where mode defaults to 'strip',
+ * or false to keep the string as is.
+ * @returns {Function} - The parser.
+ */
+export const createStringParser = (options = {}) => (input) => parseString(input, options);
+
+/**
+ * Sanitizes, normalizes and length-checks a string as configured.
+ * @param {string} input - The string to be parsed.
+ * @param {Object} options - The options of createStringParser.
+ * @returns {string} - The parsed string.
+ * @throws {Error} - Throws an error if the input exceeds the maximum length or is not a string.
+ */
+const parseString = (input, { lowercase = true, maxLength = 255, trim = false, sanitize = {} }) => {
     if (typeof input !== 'string') {
         throw new Error("Input must be a string");
     }
-    // Basic sanitization to prevent XSS attacks
-    input = input.replace(/<script.*?>.*?<\/script>/gi, '');
+    if (trim) {
+        input = input.trim();
+    }
+    // Remove markup that could run scripts, keeping allowed formatting
+    if (sanitize !== false) {
+        input = sanitizeHTML(input, { mode: 'strip', ...sanitize }).html;
+    }
     // Normalize the case
-    input = input.toLowerCase();
+    if (lowercase) {
+        input = input.toLowerCase();
+    }
     // Enforce a maximum length
-    const maxLength = 255;
     if (input.length > maxLength) {
         throw new Error(`Input must not exceed ${maxLength} characters`);
     }
@@ -0,0 +1,283 @@
+/**
+ * The tags kept by default: text formatting, lists, links and images.
+ * @type {string[]}
+ */
+export const DEFAULT_ALLOWED_TAGS = ['a', 'abbr', 'b', 'blockquote', 'br', 'code', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'hr', 'i', 'img', 'li', 'ol', 'p', 'pre', 's', 'small', 'span', 'strong', 'sub', 'sup', 'u', 'ul'];
+
+/**
+ * The attributes kept by default, per tag. Attributes listed under '*' are kept on every allowed tag.
+ * @type {Object<string, string[]>}
+ */
+export const DEFAULT_ALLOWED_ATTRIBUTES = {
+    '*': ['title', 'lang', 'dir'],
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt', 'width', 'height'],
+    blockquote: ['cite']
+};
+
+/**
+ * The URL schemes kept by default. Relative URLs are always kept.
+ * @type {string[]}
+ */
+export const DEFAULT_ALLOWED_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+/**
+ * Attributes whose value is a URL, checked against the allowed schemes.
+ * @type {Set<string>}
+ */
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'longdesc', 'xlink:href']);
+
+/**
+ * Tags that are removed together with their content, since their content is code or markup that is never shown as text.
+ * @type {Set<string>}
+ */
+const DROP_CONTENT = new Set(['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'noembed', 'noframes', 'template',
+    'textarea', 'title', 'xmp', 'svg', 'math']);
+
+/**
+ * Tags that have no content and no end tag.
+ * @type {Set<string>}
+ */
+const VOID_TAGS = new Set(['area', 'br', 'col', 'hr', 'img', 'input', 'source', 'track', 'wbr']);
+
+/**
+ * Named character references decoded by decodeEntities, including those used to hide URL schemes such as &colon;.
+ * @type {Object<string, string>}
+ */
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', colon: ':', semi: ';', comma: ',', period: '.',
+    sol: '/', bsol: '\\', lpar: '(', rpar: ')', excl: '!', quest: '?', equals: '=', num: '#', percnt: '%', tab: '\t',
+    newline: '\n', copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', deg: '°',
+    plusmn: '±', times: '×', divide: '÷', middot: '·', bull: '•'
+};
+
+/**
+ * Encodes the characters that have a meaning in HTML, so a string is shown as text when inserted into a page,
+ * in element content as well as in quoted attribute values.
+ * @param {string} text - The text to encode.
+ * @returns {string} - The encoded text.
+ */
+export const escapeHTML = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Decodes numeric character references, with or without their semicolon as browsers do, and common named ones.
+ * Unknown named references are left as they are.
+ * @param {string} text - The text to decode.
+ * @returns {string} - The decoded text.
+ */
+export const decodeEntities = (text) => String(text).replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));?/gi, (match, decimal, hex, name) => {
+    if (name !== undefined) {
+        const key = name.toLowerCase();
+        return match.endsWith(';') && Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, key) ? NAMED_ENTITIES[key] : match;
+    }
+    const codePoint = decimal !== undefined ? parseInt(decimal, 10) : parseInt(hex, 16);
+    return codePoint > 0 && codePoint <= 0x10ffff && (codePoint < 0xd800 || codePoint > 0xdfff) ? String.fromCodePoint(codePoint) : '�';
+});
+
+/**
+ * Returns the scheme of a URL the way a browser would read it, after decoding character references
+ * and removing the whitespace and control characters browsers ignore.
+ * @param {string} url - The URL, as written in an attribute.
+ * @returns {string|null} - The lowercase scheme, or null for a relative URL.
+ */
+const schemeOf = (url) => {
+    const match = url.replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Reads a start or end tag at a position.
+ * @param {string} input - The HTML.
+ * @param {number} position - The position of the '<'.
+ * @returns {{name: string, closing: boolean, attributes: {name: string, value: string}[], end: number, complete: boolean}|null}
+ * - The tag, where it ends and whether its '>' was found, or null if no tag starts at the position.
+ */
+const readTag = (input, position) => {
+    const start = /<(\/?)([a-zA-Z][^\s/>]*)/y;
+    start.lastIndex = position;
+    const match = start.exec(input);
+    if (!match) {
+        return null;
+    }
+
+    const tag = { name: match[2].toLowerCase(), closing: match[1] === '/', attributes: [], end: input.length, complete: false };
+    const attribute = /[\s/]*([^\s"'>/=][^\s"'>/=]*)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]*)))?/y;
+    let index = start.lastIndex;
+    while (index < input.length) {
+        const skip = /[\s/]*/y;
+        skip.lastIndex = index;
+        skip.exec(input);
+        index = skip.lastIndex;
+        if (input[index] === '>') {
+            tag.end = index + 1;
+            tag.complete = true;
+            break;
+        }
+        attribute.lastIndex = index;
+        const found = attribute.exec(input);
+        if (!found) {
+            // A stray quote or '=' where an attribute name should be, skipped like browsers do
+            index++;
+            continue;
+        }
+        const [, name, doubleQuoted, singleQuoted, unquoted] = found;
+        tag.attributes.push({ name: name.toLowerCase(), value: [doubleQuoted, singleQuoted, unquoted, ''].find(value => value !== undefined) });
+        index = attribute.lastIndex;
+    }
+    return tag;
+};
+
+/**
+ * Describes something sanitizeHTML removed.
+ * @typedef {Object} Removal
+ * @property {'tag'|'attribute'|'url'|'comment'} type - What was removed: a tag that is not allowed, an attribute that is not allowed,
+ * an attribute whose URL has a scheme that is not allowed, or a comment.
+ * @property {string} [name] - The name of the tag or attribute.
+ * @property {string} [tag] - For attributes and URLs, the tag they were on.
+ * @property {string} [value] - For URLs, the decoded URL.
+ */
+
+/**
+ * Creates a sanitizer that turns untrusted HTML into HTML that only contains allowed tags, attributes and URL schemes.
+ *
+ * Tags that are not allowed are removed and their text is kept, except for tags such as script, style and iframe,
+ * which are removed with their content. Character references are decoded before checks, so encoded payloads are caught,
+ * and all text and attribute values are encoded again in the output. Unclosed allowed tags are closed at the end.
+ * @param {Object} [options={}] - The sanitizer options.
+ * @param {string[]} [options.allowedTags] - The tags to keep. Defaults to DEFAULT_ALLOWED_TAGS. Pass [] to keep only text.
+ * @param {Object<string, string[]>} [options.allowedAttributes] - The attributes to keep per tag, with '*' for every tag.
+ * Defaults to DEFAULT_ALLOWED_ATTRIBUTES.
+ * @param {string[]} [options.allowedSchemes] - The URL schemes to keep in href, src and other URL attributes.
+ * Defaults to DEFAULT_ALLOWED_SCHEMES.
+ * @param {'sanitize'|'strip'|'escape'} [options.mode='sanitize'] - 'strip' removes the same markup but leaves text as it was written,
+ * without decoding or encoding it, so "Tom & Jerry" stays as it is. It suits values that are stored and encoded when shown.
+ * 'escape' keeps nothing as markup and encodes the whole input as text instead.
+ * @returns {Function} - A function that takes the HTML and returns { html, removed }, the sanitized HTML and a list of Removal
+ * entries describing what was removed.
+ */
+export const createSanitizer = ({
+    allowedTags = DEFAULT_ALLOWED_TAGS,
+    allowedAttributes = DEFAULT_ALLOWED_ATTRIBUTES,
+    allowedSchemes = DEFAULT_ALLOWED_SCHEMES,
+    mode = 'sanitize'
+} = {}) => {
+    const tags = new Set(allowedTags.map(name => name.toLowerCase()));
+    const schemes = new Set(allowedSchemes.map(scheme => scheme.toLowerCase()));
+    const attributesOf = (tag) => new Set([...(allowedAttributes['*'] || []), ...(allowedAttributes[tag] || [])].map(name => name.toLowerCase()));
+    const text = mode === 'strip' ? (value) => value : (value) => escapeHTML(decodeEntities(value));
+
+    return (input) => {
+        if (typeof input !== 'string') {
+            throw new Error("Input must be a string");
+        }
+        if (mode === 'escape') {
+            return { html: escapeHTML(input), removed: [] };
+        }
+
+        let html = '';
+        const removed = [];
+        const open = [];
+        let position = 0;
+
+        while (position < input.length) {
+            const next = input.indexOf('<', position);
+            if (next === -1) {
+                html += text(input.slice(position));
+                break;
+            }
+            html += text(input.slice(position, next));
+            position = next;
+
+            if (input.startsWith('<!--', position)) {
+                const end = input.indexOf('-->', position + 4);
+                position = end === -1 ? input.length : end + 3;
+                removed.push({ type: 'comment' });
+                continue;
+            }
+            if (input[position + 1] === '!' || input[position + 1] === '?') {
+                const end = input.indexOf('>', position);
+                position = end === -1 ? input.length : end + 1;
+                removed.push({ type: 'comment' });
+                continue;
+            }
+
+            const tag = readTag(input, position);
+            if (!tag) {
+                html += mode === 'strip' ? '<' : '&lt;';
+                position++;
+                continue;
+            }
+            position = tag.end;
+            if (!tag.complete) {
+                removed.push({ type: 'tag', name: tag.name });
+                break;
+            }
+
+            if (tag.closing) {
+                if (open.includes(tag.name)) {
+                    while (open.length > 0) {
+                        const name = open.pop();
+                        html += `</${name}>`;
+                        if (name === tag.name) {
+                            break;
+                        }
+                    }
+                }
+                continue;
+            }
+
+            if (DROP_CONTENT.has(tag.name) && !tags.has(tag.name)) {
+                const close = input.toLowerCase().indexOf(`</${tag.name}`, position);
+                const end = close === -1 ? -1 : input.indexOf('>', close);
+                position = end === -1 ? input.length : end + 1;
+                removed.push({ type: 'tag', name: tag.name });
+                continue;
+            }
+            if (!tags.has(tag.name)) {
+                removed.push({ type: 'tag', name: tag.name });
+                continue;
+            }
+
+            const allowed = attributesOf(tag.name);
+            let attributes = '';
+            for (const { name, value } of tag.attributes) {
+                if (!allowed.has(name)) {
+                    removed.push({ type: 'attribute', tag: tag.name, name });
+                    continue;
+                }
+                const decoded = decodeEntities(value);
+                const scheme = URL_ATTRIBUTES.has(name) ? schemeOf(decoded) : null;
+                if (scheme !== null && !schemes.has(scheme)) {
+                    removed.push({ type: 'url', tag: tag.name, name, value: decoded });
+                    continue;
+                }
+                attributes += ` ${name}="${escapeHTML(decoded)}"`;
+            }
+
+            html += `<${tag.name}${attributes}>`;
+            if (!VOID_TAGS.has(tag.name)) {
+                open.push(tag.name);
+            }
+        }
+
+        while (open.length > 0) {
+            html += `</${open.pop()}>`;
+        }
+        return { html, removed };
+    };
+};
+
+/**
+ * Sanitizes untrusted HTML with the given options. See createSanitizer.
+ * @param {string} input - The HTML to sanitize.
+ * @param {Object} [options={}] - The sanitizer options.
+ * @returns {{html: string, removed: Removal[]}} - The sanitized HTML and what was removed.
+ */
+export const sanitizeHTML = (input, options = {}) => createSanitizer(options)(input);
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * Describes how hydration of a persisted signal went.
+ * @typedef {Object} HydrationResult
+ * @property {boolean} hydrated True if the stored value was accepted and written to the signal.
+ * @property {WriteResult} [result] The outcome of writing the stored value, if it got that far. Rejected if the data was corrupt.
+ * @property {Error} [error] The error that prevented hydration, e.g. invalid JSON or a missing migration.
+ */
+
+/**
+ * Upgrades a stored envelope to the current version by running every migration in between, in order.
+ * @param {any} envelope The deserialized envelope, { version, value }.
+ * @param {string} key The storage key, for error messages.
+ * @param {number} version The current version.
+ * @param {Object<number, Function>} migrations The migrations, keyed by the version they upgrade to.
+ * @returns {Promise<any>} The migrated value.
+ * @throws {Error} Throws an error if the envelope is malformed, newer than the current version, or a migration is missing.
+ */
+const migrate = async (envelope, key, version, migrations) => {
+    if (envelope === null || typeof envelope !== 'object' || !('value' in envelope)) {
+        throw new Error(`Stored data for "${key}" is not a persisted value`);
+    }
+    const storedVersion = envelope.version === undefined ? 1 : envelope.version;
+    if (!Number.isInteger(storedVersion) || storedVersion > version) {
+        throw new Error(`Stored data for "${key}" has version ${storedVersion}, which this version (${version}) cannot read`);
+    }
+
+    let value = envelope.value;
+    for (let next = storedVersion + 1; next <= version; next++) {
+        if (typeof migrations[next] !== 'function') {
+            throw new Error(`No migration to version ${next} for "${key}"`);
+        }
+        value = await migrations[next](value);
+    }
+    return value;
+};
+
+/**
+ * Persists a signal: every accepted write is saved to a storage backend, and the stored value is loaded back on creation.
+ *
+ * The stored value is written to the signal with its write method, so it goes through the signal's parsers and validators
+ * and corrupt or outdated data is rejected rather than loaded. If the signal is written to before the stored value
+ * has been read, the newer value wins and hydration is skipped.
+ *
+ * Values are stored in an envelope { version, value }. When the version option is raised, stored values of earlier
+ * versions are upgraded by the migrations, keyed by the version they upgrade to, before they are written to the signal.
+ * @param {Signal} signal The signal to persist.
+ * @param {Object} options The persistence options.
+ * @param {string} options.key The key the value is stored under.
+ * @param {StorageAdapter} options.storage The storage backend. See Persistence/Storage.js.
+ * @param {number} [options.version=1] The version of the stored data's shape.
+ * @param {Object<number, Function>} [options.migrations={}] Functions upgrading a stored value to the version they are keyed by,
+ * e.g. { 2: value => ({ ...value, theme: 'light' }) }. May return Promises.
+ * @param {number} [options.debounce=0] Milliseconds to wait after a write before saving, so bursts of writes are saved once.
+ * @param {Function} [options.serialize=JSON.stringify] Turns the envelope into the string stored.
+ * @param {Function} [options.deserialize=JSON.parse] Turns a stored string back into an envelope.
+ * @param {Function} [options.onError] Called with every error reading, hydrating or saving the value.
+ * @returns {{ready: Promise<HydrationResult>, flush: Function, clear: Function, dispose: Function}} A handle.
+ * `ready` settles once hydration is done. `flush` saves a debounced write immediately, `clear` deletes the stored value once hydration is done,
+ * and `dispose` stops persisting, after saving any pending write. Each of them returns a Promise.
+ * @example
+ * const settings = new Store({ theme: 'light' });
+ * const persisted = persist(settings, { key: 'settings', storage: localStorageAdapter(), debounce: 250 });
+ * await persisted.ready;
+ */
+export const persist = (signal, {
+    key,
+    storage,
+    version = 1,
+    migrations = {},
+    debounce = 0,
+    serialize = JSON.stringify,
+    deserialize = JSON.parse,
+    onError = () => {}
+}) => {
+    let timer = null;
+    let saving = Promise.resolve();
+
+    const save = () => {
+        timer = null;
+        const value = signal.value;
+        // Serialized inside the chain, so a value it cannot handle is reported to onError instead of thrown at the writer
+        saving = saving
+            .then(() => storage.setItem(key, serialize({ version, value })))
+            .catch(onError);
+        return saving;
+    };
+
+    const flush = () => {
+        if (timer !== null) {
+            clearTimeout(timer);
+            return save();
+        }
+        return saving;
+    };
+
+    const unsubscribe = signal.subscribe(() => {
+        if (debounce > 0) {
+            clearTimeout(timer);
+            timer = setTimeout(save, debounce);
+        } else {
+            save();
+        }
+    });
+
+    const hydrate = async () => {
+        const writesBefore = signal.version;
+        try {
+            const stored = await storage.getItem(key);
+            if (stored === null || stored === undefined) {
+                return { hydrated: false };
+            }
+            const value = await migrate(deserialize(stored), key, version, migrations);
+            if (signal.version !== writesBefore) {
+                return { hydrated: false };
+            }
+
+            const result = await signal.write(value);
+            if (result.cancelled) {
+                return { hydrated: false, result };
+            }
+            if (!result.accepted) {
+                const error = new Error(`Stored data for "${key}" was rejected: ${result.errors.map(failure => failure.message).join(', ')}`);
+                onError(error);
+                return { hydrated: false, result, error };
+            }
+            return { hydrated: true, result };
+        } catch (error) {
+            onError(error);
+            return { hydrated: false, error };
+        }
+    };
+
+    const ready = hydrate();
+
+    return {
+        ready,
+        flush,
+        clear: () => ready.then(flush).then(() => storage.removeItem(key)),
+        dispose: () => {
+            unsubscribe();
+            return flush();
+        }
+    };
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * A storage backend for persisted signals. Mirrors the Web Storage API, except that every method may return a Promise.
+ * @typedef {Object} StorageAdapter
+ * @property {Function} getItem Called with a key. Returns the stored string, or null if there is none.
+ * @property {Function} setItem Called with a key and a string to store under it.
+ * @property {Function} removeItem Called with a key to delete.
+ */
+
+/**
+ * Creates a storage adapter that keeps items in memory. Useful in tests.
+ * @param {Object<string, string>} [initialItems={}] Items to start with, e.g. to test hydration of old data.
+ * @returns {StorageAdapter & {items: Map<string, string>}} The adapter, with the Map holding its items.
+ */
+export const memoryStorage = (initialItems = {}) => {
+    const items = new Map(Object.entries(initialItems));
+    return {
+        items,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            items.set(key, String(value));
+        },
+        removeItem: (key) => {
+            items.delete(key);
+        }
+    };
+};
+
+/**
+ * Creates a storage adapter backed by a Web Storage object.
+ * @param {Storage} storage The storage, e.g. window.localStorage.
+ * @returns {StorageAdapter} The adapter.
+ */
+export const webStorage = (storage) => ({
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: (key) => storage.removeItem(key)
+});
+
+/**
+ * Creates a storage adapter backed by the browser's localStorage, which persists across reloads and browser restarts.
+ * @returns {StorageAdapter} The adapter.
+ * @throws {Error} Throws an error if localStorage is not available.
+ */
+export const localStorageAdapter = () => {
+    if (typeof localStorage === 'undefined') {
+        throw new Error("localStorage is not available in this environment");
+    }
+    return webStorage(localStorage);
+};
+
+/**
+ * Creates a storage adapter backed by the browser's sessionStorage, which persists across reloads of the same tab.
+ * @returns {StorageAdapter} The adapter.
+ * @throws {Error} Throws an error if sessionStorage is not available.
+ */
+export const sessionStorageAdapter = () => {
+    if (typeof sessionStorage === 'undefined') {
+        throw new Error("sessionStorage is not available in this environment");
+    }
+    return webStorage(sessionStorage);
+};
+
+/**
+ * Creates a storage adapter for Node that stores each item in a file of its own inside a directory.
+ * Files are written to a temporary file first and then renamed, so a crash never leaves a half-written item behind.
+ * The 'node:fs/promises' module is loaded on first use, so this module can also be imported in browsers.
+ * @param {string} directory The directory holding the files. Created on the first write if it does not exist.
+ * @returns {StorageAdapter} The adapter. Every method returns a Promise.
+ */
+export const fileStorage = (directory) => {
+    let fs = null;
+    const load = () => fs || (fs = import('node:fs/promises'));
+    const pathOf = (key) => `${directory}/${encodeURIComponent(key)}.json`;
+
+    return {
+        getItem: async (key) => {
+            const { readFile } = await load();
+            try {
+                return await readFile(pathOf(key), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        setItem: async (key, value) => {
+            const { mkdir, writeFile, rename } = await load();
+            const path = pathOf(key);
+            const temporaryPath = `${path}.${Date.now()}.tmp`;
+            await mkdir(directory, { recursive: true });
+            await writeFile(temporaryPath, String(value), 'utf8');
+            await rename(temporaryPath, path);
+        },
+        removeItem: async (key) => {
+            const { rm } = await load();
+            await rm(pathOf(key), { force: true });
+        }
+    };
+};
\ No newline at end of file
@@ -0,0 +1,341 @@
+import { createIntegerParser, floatParser, booleanParser, dateParser } from '../Parsing/Parsers.js';
+import { nonEmptyNameValidator, ageRangeValidator, emailValidator, passwordStrengthValidator, phoneNumberValidator,
+    urlValidator, dateFormatValidator, rangeValidator, minLengthValidator, maxLengthValidator, regexValidator,
+    oneOfValidator, requiredFieldsValidator, maxItemsValidator, describe, fail } from '../Validation/Validators.js';
+import { whatwgUrlValidator } from '../Validation/FormatValidators.js';
+
+/**
+ * Capitalizes a field name the same way the messages in Validators.js do.
+ * @param {string} field The field name.
+ * @returns {string} The field name with its first character in upper case.
+ */
+const label = (field) => field.charAt(0).toUpperCase() + field.slice(1);
+
+/**
+ * Checks a value against a JSON Schema type name.
+ * @param {string} type The JSON Schema type.
+ * @param {any} value The value to check.
+ * @returns {boolean} True if the value has the type.
+ */
+const hasType = (type, value) => {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'null': return value === null;
+        default: return true;
+    }
+};
+
+/**
+ * Applies one of the fixed-field validators of Validators.js, such as emailValidator, to another field.
+ * @param {string} field The field to validate.
+ * @param {string} ownField The field the validator reads.
+ * @param {Function} validator The fixed-field validator.
+ * @returns {Function} The validator for the field.
+ */
+const renameField = (field, ownField, validator) => (oldState, newState, context) => {
+    if (field in newState) {
+        return validator({ [ownField]: oldState[field] }, { [ownField]: newState[field] }, context);
+    }
+    return true;
+};
+
+/**
+ * The fixed-field validators of Validators.js and the JSON Schema they correspond to.
+ * @type {Map<Function, {field: string, schema: Object}>}
+ */
+const fixedValidators = new Map([
+    [nonEmptyNameValidator, { field: 'name', schema: { type: 'string', pattern: '\\S' } }],
+    [ageRangeValidator, { field: 'age', schema: { type: 'number', minimum: 0, maximum: 150 } }],
+    [emailValidator, { field: 'email', schema: { type: 'string', format: 'email' } }],
+    [urlValidator, { field: 'url', schema: { type: 'string', format: 'uri' } }],
+    [phoneNumberValidator, { field: 'phone', schema: { type: 'string', pattern: '^(?:\\(\\d{3}\\)\\s|\\d{3}-)\\d{3}-\\d{4}$' } }],
+    [passwordStrengthValidator, { field: 'password', schema: { type: 'string', minLength: 8, pattern: '^(?=.*[A-Z])(?=.*[a-z])(?=.*\\d)' } }]
+]);
+
+/**
+ * Creates the validators for a single property of an object schema.
+ * @param {string} field The name of the property.
+ * @param {Object} schema The JSON Schema of the property.
+ * @returns {Function[]} Validators in the (oldState, newState, context) form of Validators.js.
+ */
+const propertyValidators = (field, schema) => {
+    const validators = [];
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type);
+        validators.push(describe({ type: 'type', field, jsonType: schema.type }, (oldState, newState, context) => {
+            if (field in newState && !types.some(type => hasType(type, newState[field]))) {
+                return fail(context, 'type.mismatch', field, { types });
+            }
+            return true;
+        }));
+    }
+    if (schema.minimum !== undefined && schema.maximum !== undefined) {
+        validators.push(rangeValidator(field, schema.minimum, schema.maximum));
+    } else if (schema.minimum !== undefined) {
+        const min = schema.minimum;
+        validators.push(describe({ type: 'range', field, min, max: Infinity }, (oldState, newState, context) => {
+            if (field in newState && newState[field] < min) {
+                return fail(context, 'number.tooSmall', field, { min });
+            }
+            return true;
+        }));
+    } else if (schema.maximum !== undefined) {
+        const max = schema.maximum;
+        validators.push(describe({ type: 'range', field, min: -Infinity, max }, (oldState, newState, context) => {
+            if (field in newState && newState[field] > max) {
+                return fail(context, 'number.tooLarge', field, { max });
+            }
+            return true;
+        }));
+    }
+    if (schema.minLength !== undefined) {
+        validators.push(minLengthValidator(field, schema.minLength));
+    }
+    if (schema.maxLength !== undefined) {
+        validators.push(maxLengthValidator(field, schema.maxLength));
+    }
+    if (schema.pattern !== undefined) {
+        validators.push(regexValidator(field, new RegExp(schema.pattern, 'u')));
+    }
+    if (schema.enum !== undefined) {
+        validators.push(oneOfValidator(field, schema.enum));
+    }
+    if (schema.maxItems !== undefined) {
+        validators.push(maxItemsValidator(field, schema.maxItems));
+    }
+    if (schema.format !== undefined) {
+        const formatValidator = {
+            email: () => renameField(field, 'email', emailValidator),
+            uri: () => whatwgUrlValidator(field),
+            date: () => renameField(field, 'date', dateFormatValidator('YYYY-MM-DD'))
+        }[schema.format];
+        if (formatValidator) {
+            validators.push(describe({ type: 'format', field, format: schema.format }, formatValidator()));
+        }
+    }
+    if (schema.type === 'object' && schema.properties !== undefined) {
+        const nested = objectValidators(schema);
+        validators.push(describe({ type: 'properties', field, validators: nested }, (oldState, newState, context) => {
+            if (!(field in newState) || !hasType('object', newState[field])) {
+                return true;
+            }
+            const previous = hasType('object', oldState[field]) ? oldState[field] : {};
+            for (const validator of nested) {
+                const result = validator(previous, newState[field], context);
+                if (result !== true) {
+                    return fail(context, 'object.invalidProperty', field, { reason: typeof result === 'string' ? result : result.message, error: result });
+                }
+            }
+            return true;
+        }));
+    }
+
+    return validators;
+};
+
+/**
+ * Creates the validators for an object schema.
+ * @param {Object} schema The JSON Schema of the object.
+ * @returns {Function[]} Validators in the (oldState, newState, context) form of Validators.js.
+ */
+const objectValidators = (schema) => {
+    const validators = [];
+    if (schema.required !== undefined && schema.required.length > 0) {
+        validators.push(requiredFieldsValidator(schema.required));
+    }
+    for (const [field, property] of Object.entries(schema.properties || {})) {
+        validators.push(...propertyValidators(field, property));
+    }
+    return validators;
+};
+
+/**
+ * Restricts a parser to inputs of some types and passes every other input through unchanged,
+ * so values that already have the schema's type are kept and values of other types are left to the type validator.
+ * @param {Function} parser The parser.
+ * @param {string[]} [types=['string']] The typeof results of the inputs the parser converts.
+ * @returns {Function} The restricted parser.
+ */
+const coerce = (parser, types = ['string']) => (input) => (types.includes(typeof input) ? parser(input) : input);
+
+/**
+ * Returns the parser that converts string input into a property's type, if it needs one.
+ * Integers are parsed strictly, so '12abc' and 1.5 are rejected rather than truncated.
+ * @param {Object} schema The JSON Schema of the property.
+ * @returns {Function|null} The parser, or null if the value is used as is.
+ */
+const propertyParser = (schema) => {
+    if (schema.type === 'integer') {
+        return coerce(createIntegerParser({ strict: true }), ['string', 'number']);
+    }
+    if (schema.type === 'number') {
+        return coerce(floatParser);
+    }
+    if (schema.type === 'boolean') {
+        return coerce(booleanParser);
+    }
+    if (schema.type === 'string' && schema.format === 'date') {
+        return coerce(dateParser);
+    }
+    if (schema.type === 'object' && schema.properties !== undefined) {
+        return objectParser(schema);
+    }
+    return null;
+};
+
+/**
+ * Creates a parser that converts the string properties of an object into the types declared by its schema,
+ * e.g. '42' into 42 for an integer property. Properties that already have another type are left untouched.
+ * @param {Object} schema The JSON Schema of the object.
+ * @returns {Function} The parser.
+ */
+const objectParser = (schema) => {
+    const parsers = Object.entries(schema.properties || {})
+        .map(([field, property]) => [field, propertyParser(property)])
+        .filter(([, parser]) => parser !== null);
+
+    return (input) => {
+        if (!hasType('object', input)) {
+            return input;
+        }
+        const output = { ...input };
+        for (const [field, parse] of parsers) {
+            if (field in output) {
+                try {
+                    output[field] = parse(output[field]);
+                } catch (error) {
+                    throw new Error(`${label(field)}: ${error.message}`);
+                }
+            }
+        }
+        return output;
+    };
+};
+
+/**
+ * Converts a JSON Schema into parsers and validators for a Signal.
+ *
+ * Supports a subset of draft 2020-12: type, minimum, maximum, minLength, maxLength, pattern, enum, required, maxItems,
+ * properties, and the email, uri and date formats. Other keywords are ignored. For an object schema the signal holds the
+ * object itself. For any other schema the signal holds the bare value, and messages refer to it by the given field name.
+ * @param {Object} schema The JSON Schema document.
+ * @param {string} [field='value'] The name used for the value of non-object schemas.
+ * @returns {{parsers: Function[], validators: Function[]}} The parser and validator chains.
+ * @example
+ * const { parsers, validators } = fromJSONSchema(userSchema);
+ * const user = new Signal({}, validators, parsers);
+ */
+export const fromJSONSchema = (schema, field = 'value') => {
+    if (schema.type === 'object' || schema.properties !== undefined) {
+        return { parsers: [objectParser(schema)], validators: objectValidators(schema) };
+    }
+    const parser = propertyParser(schema);
+    const validators = propertyValidators(field, schema).map(validator => describe(validator.rule,
+        (oldState, newState, context) => validator({ [field]: oldState }, { [field]: newState }, context)));
+    return { parsers: parser ? [parser] : [], validators };
+};
+
+/**
+ * Escapes a string for use in a regular expression.
+ * @param {string} text The text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Adds keywords to a property schema. A pattern is added through allOf when the property already has one.
+ * @param {Object} target The property schema to extend.
+ * @param {Object} keywords The keywords to add.
+ */
+const addKeywords = (target, keywords) => {
+    for (const [keyword, value] of Object.entries(keywords)) {
+        if (keyword === 'pattern' && target.pattern !== undefined) {
+            target.allOf = [...(target.allOf || []), { pattern: value }];
+        } else {
+            target[keyword] = value;
+        }
+    }
+};
+
+/**
+ * Translates the rule of a validator factory into JSON Schema keywords.
+ * @param {Object} rule The rule attached to the validator.
+ * @returns {Object|null} The keywords, or null if the rule has no JSON Schema equivalent.
+ */
+const ruleKeywords = (rule) => {
+    switch (rule.type) {
+        case 'type': return { type: rule.jsonType };
+        case 'range': {
+            const keywords = {};
+            if (Number.isFinite(rule.min)) {
+                keywords.minimum = rule.min;
+            }
+            if (Number.isFinite(rule.max)) {
+                keywords.maximum = rule.max;
+            }
+            return keywords;
+        }
+        case 'positiveNumber': return { exclusiveMinimum: 0 };
+        case 'nonNegative': return { minimum: 0 };
+        case 'minLength': return { minLength: rule.minLength };
+        case 'maxLength': return { maxLength: rule.maxLength };
+        case 'regex': return { pattern: rule.regex.source };
+        case 'alphanumeric': return { pattern: '^[a-zA-Z0-9]+$' };
+        case 'startsWith': return { pattern: `^${escapeRegExp(rule.prefix)}` };
+        case 'oneOf': return { enum: rule.allowedValues };
+        case 'equal': return { const: rule.compareTo };
+        case 'maxItems': return { maxItems: rule.maxItems };
+        case 'isBoolean': return { type: 'boolean' };
+        case 'format': return { format: rule.format };
+        case 'dateFormat': {
+            const keywords = { 'YYYY-MM-DD': { format: 'date' }, 'MM/DD/YYYY': { pattern: '^\\d{2}/\\d{2}/\\d{4}$' } }[rule.format];
+            return keywords || null;
+        }
+        case 'properties': return toJSONSchema(rule.validators);
+        default: return null;
+    }
+};
+
+/**
+ * Exports a composed set of validators as an equivalent JSON Schema for the object they validate.
+ *
+ * Recognizes the fixed-field validators of Validators.js, the validators created by its factories and the validators
+ * created by fromJSONSchema. Validators without a JSON Schema equivalent, such as matchOtherFieldValidator,
+ * uniqueValueValidator or custom functions, are left out.
+ * @param {Function[]} validators The validators of a Signal.
+ * @returns {Object} The JSON Schema document.
+ */
+export const toJSONSchema = (validators) => {
+    const schema = { type: 'object', properties: {} };
+    const property = (field) => (schema.properties[field] = schema.properties[field] || {});
+
+    for (const validator of validators) {
+        if (fixedValidators.has(validator)) {
+            const { field, schema: keywords } = fixedValidators.get(validator);
+            addKeywords(property(field), keywords);
+            continue;
+        }
+
+        const rule = validator.rule;
+        if (rule === undefined) {
+            continue;
+        }
+        if (rule.type === 'requiredFields') {
+            schema.required = [...new Set([...(schema.required || []), ...rule.fields])];
+            continue;
+        }
+
+        const keywords = ruleKeywords(rule);
+        if (keywords !== null) {
+            addKeywords(property(rule.field), keywords);
+        }
+    }
+
+    return schema;
+};
\ No newline at end of file
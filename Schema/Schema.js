@@ -0,0 +1,509 @@
+import { trimParser } from '../Parsing/Parsers.js';
+import { emailValidator, urlValidator, minLengthValidator, maxLengthValidator, regexValidator, alphanumericValidator,
+    startsWithValidator, rangeValidator, positiveNumberValidator, nonNegativeValidator, oneOfValidator,
+    maxItemsValidator, isBooleanValidator } from '../Validation/Validators.js';
+
+/**
+ * Describes a single failure reported by a schema.
+ * @typedef {Object} SchemaIssue
+ * @property {Array<string|number>} path The keys and indexes leading from the root value to the failing value.
+ * @property {string} message The error message.
+ */
+
+/**
+ * Error thrown by SchemaType.assert and by the parsers returned from SchemaType.toParser.
+ * @class
+ * @extends Error
+ */
+export class SchemaError extends Error {
+    /**
+     * Creates an instance of SchemaError.
+     * @param {SchemaIssue[]} errors Every failure found in the value.
+     */
+    constructor(errors) {
+        super(errors.map(({ path, message }) => (path.length > 0 ? `${path.join('.')}: ${message}` : message)).join(' '));
+        this.name = 'SchemaError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Capitalizes a key the same way the messages in Validators.js do.
+ * @param {string} key The key of the value.
+ * @returns {string} The key with its first character in upper case.
+ */
+const label = (key) => key.charAt(0).toUpperCase() + key.slice(1);
+
+/**
+ * Names a value after the last key of its path, so messages read like those of Validators.js.
+ * Array items are named after their array, e.g. 'tags[0]'.
+ * @param {Array<string|number>} path The path of the value.
+ * @returns {string} The name of the value, or 'value' at the root.
+ */
+const keyOf = (path) => {
+    let suffix = '';
+    for (let index = path.length - 1; index >= 0; index--) {
+        if (typeof path[index] !== 'number') {
+            return `${path[index]}${suffix}`;
+        }
+        suffix = `[${path[index]}]${suffix}`;
+    }
+    return `value${suffix}`;
+};
+
+/**
+ * Base class of every schema type. Holds the parser chain, the validation rules and the handling of missing values.
+ * Every builder method returns a new schema, so a schema can be extended without affecting the original.
+ * @class
+ */
+export class SchemaType {
+    /**
+     * Creates an instance of SchemaType.
+     * @param {string} type The name of the type, used in messages and descriptions.
+     */
+    constructor(type) {
+        this.type = type;
+        this.parsers = [];
+        this.rules = [];
+        this.isOptional = false;
+        this.isNullable = false;
+        this.hasDefault = false;
+        this.defaultValue = undefined;
+    }
+
+    /**
+     * Returns a copy of the schema with some properties replaced.
+     * @param {Object} changes The properties to replace.
+     * @returns {SchemaType} The copy.
+     */
+    with(changes) {
+        return Object.assign(Object.create(Object.getPrototypeOf(this)), this, changes);
+    }
+
+    /**
+     * Adds a parser that runs before validation. Parsers run in the order they were added.
+     * @param {Function} parser A parser from Parsers.js or any function that returns the parsed value or throws.
+     * @returns {SchemaType} The extended schema.
+     */
+    parse(parser) {
+        return this.with({ parsers: [...this.parsers, parser] });
+    }
+
+    /**
+     * Adds a validator in the (oldState, newState) form used by Validators.js. Object schemas pass the object itself as newState,
+     * other schemas pass an object holding the value under its key.
+     * @param {Function} validator The validator.
+     * @returns {SchemaType} The extended schema.
+     */
+    validate(validator) {
+        return this.rule(validator.name || 'custom', {}, (key, value) => validator({}, this.type === 'object' ? value : { [key]: value }));
+    }
+
+    /**
+     * Adds a validation rule.
+     * @param {string} name The name of the rule.
+     * @param {Object} params The parameters of the rule, kept for introspection.
+     * @param {Function} run A function called with the key and the value that returns true or an error message.
+     * @returns {SchemaType} The extended schema.
+     */
+    rule(name, params, run) {
+        return this.with({ rules: [...this.rules, { name, params, run }] });
+    }
+
+    /**
+     * Only allows the value to be one of the given values.
+     * @param {Array} allowedValues The allowed values.
+     * @returns {SchemaType} The extended schema.
+     */
+    oneOf(allowedValues) {
+        return this.rule('oneOf', { allowedValues }, (key, value) => oneOfValidator(key, allowedValues)({}, { [key]: value }));
+    }
+
+    /**
+     * Allows the value to be undefined.
+     * @returns {SchemaType} The extended schema.
+     */
+    optional() {
+        return this.with({ isOptional: true });
+    }
+
+    /**
+     * Allows the value to be null.
+     * @returns {SchemaType} The extended schema.
+     */
+    nullable() {
+        return this.with({ isNullable: true });
+    }
+
+    /**
+     * Uses a default when the value is undefined. The default is not parsed or validated.
+     * @param {any} value The default value.
+     * @returns {SchemaType} The extended schema.
+     */
+    default(value) {
+        return this.with({ hasDefault: true, defaultValue: value });
+    }
+
+    /**
+     * Checks that a parsed value has the schema's type.
+     * @param {string} key The key of the value.
+     * @param {any} value The parsed value.
+     * @returns {true|string} True if the type matches, or an error message.
+     */
+    checkType(key, value) {
+        return true;
+    }
+
+    /**
+     * Checks the contents of a value that has the right type. Overridden by object and array schemas.
+     * @param {any} value The parsed value.
+     * @param {Array<string|number>} path The path of the value.
+     * @returns {{value: any, errors: SchemaIssue[]}} The value with its contents parsed, and any failures.
+     */
+    checkChildren(value, path) {
+        return { value, errors: [] };
+    }
+
+    /**
+     * Parses and validates a value.
+     * @param {any} input The value to check.
+     * @param {Array<string|number>} [path=[]] The path of the value, used in error paths and to name the value in messages.
+     * @returns {{valid: boolean, value: any, errors: SchemaIssue[]}} Whether the value is valid, the parsed value, and every failure.
+     */
+    check(input, path = []) {
+        const key = keyOf(path);
+        const fail = (message) => ({ valid: false, value: undefined, errors: [{ path, message }] });
+
+        if (input === undefined) {
+            if (this.hasDefault) {
+                return { valid: true, value: this.defaultValue, errors: [] };
+            }
+            return this.isOptional ? { valid: true, value: undefined, errors: [] } : fail(`${label(key)} is required.`);
+        }
+        if (input === null) {
+            return this.isNullable ? { valid: true, value: null, errors: [] } : fail(`${label(key)} cannot be null.`);
+        }
+
+        let value = input;
+        for (const parse of this.parsers) {
+            try {
+                value = parse(value);
+            } catch (error) {
+                return fail(error.message);
+            }
+        }
+
+        const typeResult = this.checkType(key, value);
+        if (typeResult !== true) {
+            return fail(typeResult);
+        }
+
+        const children = this.checkChildren(value, path);
+        const errors = [...children.errors];
+        for (const { run } of this.rules) {
+            const result = run(key, children.value);
+            if (result !== true) {
+                errors.push({ path, message: result });
+            }
+        }
+        return errors.length > 0 ? { valid: false, value: undefined, errors } : { valid: true, value: children.value, errors: [] };
+    }
+
+    /**
+     * Parses and validates a value, throwing if it is invalid.
+     * @param {any} input The value to check.
+     * @returns {any} The parsed value.
+     * @throws {SchemaError} Throws an error listing every failure if the value is invalid.
+     */
+    assert(input) {
+        const result = this.check(input);
+        if (!result.valid) {
+            throw new SchemaError(result.errors);
+        }
+        return result.value;
+    }
+
+    /**
+     * Returns a parser for a Signal's parsers array that parses and validates its input against the schema.
+     * @returns {Function} The parser. It throws a SchemaError if the input is invalid.
+     */
+    toParser() {
+        return (input) => this.assert(input);
+    }
+
+    /**
+     * Returns a validator for a Signal's validators array that checks the new state against the schema.
+     * @returns {Function} The validator. It returns the messages of every failure, or true if the state is valid.
+     */
+    toValidator() {
+        return (oldState, newState) => {
+            const result = this.check(newState);
+            return result.valid || new SchemaError(result.errors).message;
+        };
+    }
+}
+
+/**
+ * Schema for strings.
+ * @class
+ * @extends SchemaType
+ */
+export class StringSchema extends SchemaType {
+    /**
+     * Creates an instance of StringSchema.
+     */
+    constructor() {
+        super('string');
+    }
+
+    /** @inheritdoc */
+    checkType(key, value) {
+        return typeof value === 'string' || `${label(key)} must be a string.`;
+    }
+
+    /**
+     * Trims whitespace before validation.
+     * @returns {StringSchema} The extended schema.
+     */
+    trim() {
+        return this.parse(trimParser);
+    }
+
+    /**
+     * Requires a valid email address. See emailValidator.
+     * @returns {StringSchema} The extended schema.
+     */
+    email() {
+        return this.rule('email', {}, (key, value) => emailValidator({}, { email: value }));
+    }
+
+    /**
+     * Requires a valid URL. See urlValidator.
+     * @returns {StringSchema} The extended schema.
+     */
+    url() {
+        return this.rule('url', {}, (key, value) => urlValidator({}, { url: value }));
+    }
+
+    /**
+     * Requires at least the given number of characters. See minLengthValidator.
+     * @param {number} minLength The minimum length.
+     * @returns {StringSchema} The extended schema.
+     */
+    minLength(minLength) {
+        return this.rule('minLength', { minLength }, (key, value) => minLengthValidator(key, minLength)({}, { [key]: value }));
+    }
+
+    /**
+     * Allows at most the given number of characters. See maxLengthValidator.
+     * @param {number} maxLength The maximum length.
+     * @returns {StringSchema} The extended schema.
+     */
+    maxLength(maxLength) {
+        return this.rule('maxLength', { maxLength }, (key, value) => maxLengthValidator(key, maxLength)({}, { [key]: value }));
+    }
+
+    /**
+     * Requires the string to match a regular expression. See regexValidator.
+     * @param {RegExp} regex The regular expression.
+     * @param {string} [errorMessage] An optional custom error message.
+     * @returns {StringSchema} The extended schema.
+     */
+    pattern(regex, errorMessage) {
+        return this.rule('pattern', { regex }, (key, value) => regexValidator(key, regex, errorMessage)({}, { [key]: value }));
+    }
+
+    /**
+     * Requires only letters and digits. See alphanumericValidator.
+     * @returns {StringSchema} The extended schema.
+     */
+    alphanumeric() {
+        return this.rule('alphanumeric', {}, (key, value) => alphanumericValidator(key)({}, { [key]: value }));
+    }
+
+    /**
+     * Requires the string to start with a prefix. See startsWithValidator.
+     * @param {string} prefix The prefix.
+     * @returns {StringSchema} The extended schema.
+     */
+    startsWith(prefix) {
+        return this.rule('startsWith', { prefix }, (key, value) => startsWithValidator(key, prefix)({}, { [key]: value }));
+    }
+}
+
+/**
+ * Schema for finite numbers.
+ * @class
+ * @extends SchemaType
+ */
+export class NumberSchema extends SchemaType {
+    /**
+     * Creates an instance of NumberSchema.
+     */
+    constructor() {
+        super('number');
+    }
+
+    /** @inheritdoc */
+    checkType(key, value) {
+        return (typeof value === 'number' && Number.isFinite(value)) || `${label(key)} must be a number.`;
+    }
+
+    /**
+     * Requires the number to be within a range, inclusive. See rangeValidator.
+     * @param {number} min The minimum value.
+     * @param {number} max The maximum value.
+     * @returns {NumberSchema} The extended schema.
+     */
+    range(min, max) {
+        return this.rule('range', { min, max }, (key, value) => rangeValidator(key, min, max)({}, { [key]: value }));
+    }
+
+    /**
+     * Requires a number greater than zero. See positiveNumberValidator.
+     * @returns {NumberSchema} The extended schema.
+     */
+    positive() {
+        return this.rule('positive', {}, (key, value) => positiveNumberValidator(key)({}, { [key]: value }));
+    }
+
+    /**
+     * Requires a number that is not negative. See nonNegativeValidator.
+     * @returns {NumberSchema} The extended schema.
+     */
+    nonNegative() {
+        return this.rule('nonNegative', {}, (key, value) => nonNegativeValidator(key)({}, { [key]: value }));
+    }
+
+    /**
+     * Requires a whole number.
+     * @returns {NumberSchema} The extended schema.
+     */
+    integer() {
+        return this.rule('integer', {}, (key, value) => Number.isInteger(value) || `${label(key)} must be an integer.`);
+    }
+}
+
+/**
+ * Schema for booleans.
+ * @class
+ * @extends SchemaType
+ */
+export class BooleanSchema extends SchemaType {
+    /**
+     * Creates an instance of BooleanSchema.
+     */
+    constructor() {
+        super('boolean');
+    }
+
+    /** @inheritdoc */
+    checkType(key, value) {
+        return isBooleanValidator(key)({}, { [key]: value });
+    }
+}
+
+/**
+ * Schema for arrays whose items all match one schema.
+ * @class
+ * @extends SchemaType
+ */
+export class ArraySchema extends SchemaType {
+    /**
+     * Creates an instance of ArraySchema.
+     * @param {SchemaType} items The schema of every item.
+     */
+    constructor(items) {
+        super('array');
+        this.items = items;
+    }
+
+    /** @inheritdoc */
+    checkType(key, value) {
+        return Array.isArray(value) || `${label(key)} must be an array.`;
+    }
+
+    /** @inheritdoc */
+    checkChildren(value, path) {
+        const errors = [];
+        const items = value.map((item, index) => {
+            const result = this.items.check(item, [...path, index]);
+            errors.push(...result.errors);
+            return result.value;
+        });
+        return { value: items, errors };
+    }
+
+    /**
+     * Allows at most the given number of items. See maxItemsValidator.
+     * @param {number} maxItems The maximum number of items.
+     * @returns {ArraySchema} The extended schema.
+     */
+    maxItems(maxItems) {
+        return this.rule('maxItems', { maxItems }, (key, value) => maxItemsValidator(key, maxItems)({}, { [key]: value }));
+    }
+}
+
+/**
+ * Schema for objects with a known set of keys. Keys that are not part of the shape are dropped from the parsed value.
+ * @class
+ * @extends SchemaType
+ */
+export class ObjectSchema extends SchemaType {
+    /**
+     * Creates an instance of ObjectSchema.
+     * @param {Object<string, SchemaType>} shape The schema of each key.
+     */
+    constructor(shape) {
+        super('object');
+        this.shape = shape;
+    }
+
+    /** @inheritdoc */
+    checkType(key, value) {
+        return (typeof value === 'object' && !Array.isArray(value)) || `${label(key)} must be an object.`;
+    }
+
+    /** @inheritdoc */
+    checkChildren(value, path) {
+        const errors = [];
+        const parsed = {};
+        for (const [key, schema] of Object.entries(this.shape)) {
+            const result = schema.check(value[key], [...path, key]);
+            errors.push(...result.errors);
+            if (result.value !== undefined) {
+                parsed[key] = result.value;
+            }
+        }
+        return { value: parsed, errors };
+    }
+}
+
+/**
+ * Entry points of the schema builder.
+ * @example
+ * const person = schema.object({
+ *     age: schema.number().parse(integerParser).range(0, 150),
+ *     email: schema.string().trim().email(),
+ *     tags: schema.array(schema.string()).maxItems(5).optional()
+ * });
+ * const { valid, value, errors } = person.check(input);
+ */
+export const schema = {
+    /** @returns {StringSchema} A schema for strings. */
+    string: () => new StringSchema(),
+    /** @returns {NumberSchema} A schema for numbers. */
+    number: () => new NumberSchema(),
+    /** @returns {BooleanSchema} A schema for booleans. */
+    boolean: () => new BooleanSchema(),
+    /**
+     * @param {SchemaType} items The schema of every item.
+     * @returns {ArraySchema} A schema for arrays.
+     */
+    array: (items) => new ArraySchema(items),
+    /**
+     * @param {Object<string, SchemaType>} shape The schema of each key.
+     * @returns {ObjectSchema} A schema for objects.
+     */
+    object: (shape) => new ObjectSchema(shape)
+};
\ No newline at end of file
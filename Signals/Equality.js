@@ -0,0 +1,71 @@
+/**
+ * Checks whether two values are equal, comparing the own enumerable properties of objects and the items of arrays
+ * with Object.is, one level deep.
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @returns {boolean} True if the values are equal.
+ */
+export const shallowEqual = (a, b) => {
+    if (Object.is(a, b)) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null
+        || Array.isArray(a) !== Array.isArray(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+        return false;
+    }
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+};
+
+/**
+ * Checks whether two values are structurally equal: arrays, plain objects, Maps and Sets are compared recursively,
+ * Dates by their time and regular expressions by their source and flags. Other objects are compared by identity.
+ * Circular references are supported.
+ * @param {any} a The first value.
+ * @param {any} b The second value.
+ * @param {Map<Object, Set<Object>>} [seen] The pairs of objects being compared further up, to stop at cycles.
+ * @returns {boolean} True if the values are equal.
+ */
+export const deepEqual = (a, b, seen = new Map()) => {
+    if (Object.is(a, b)) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null
+        || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+        return false;
+    }
+
+    if (a instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    if (a instanceof RegExp) {
+        return a.source === b.source && a.flags === b.flags;
+    }
+
+    if (seen.has(a) && seen.get(a).has(b)) {
+        return true;
+    }
+    if (!seen.has(a)) {
+        seen.set(a, new Set());
+    }
+    seen.get(a).add(b);
+
+    if (a instanceof Map) {
+        return a.size === b.size && [...a].every(([key, value]) => b.has(key) && deepEqual(value, b.get(key), seen));
+    }
+    if (a instanceof Set) {
+        return a.size === b.size && [...a].every(value => b.has(value));
+    }
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((item, index) => deepEqual(item, b[index], seen));
+    }
+    if (Object.getPrototypeOf(a) !== Object.prototype && Object.getPrototypeOf(a) !== null) {
+        return false;
+    }
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key], seen));
+};
\ No newline at end of file
@@ -0,0 +1,188 @@
+import { Signal, activeBatch, batch } from './Signal.js';
+
+/**
+ * One step of a signal's history.
+ * @typedef {Object} HistoryEntry
+ * @property {any} value The value of the signal after the step.
+ * @property {number} timestamp When the step was recorded, in milliseconds since the epoch.
+ * @property {string|undefined} label The label given to the write, if any.
+ */
+
+/**
+ * Records the accepted writes of a signal so they can be undone, redone and travelled through.
+ *
+ * Only writes that pass the signal's parsers and validators and change its value are recorded. Writes made within the same batch or transaction
+ * become a single step, and a rolled back transaction leaves no step behind. Moving through the history restores values
+ * without parsing or validating them again, since they were accepted when they were written.
+ * @class
+ */
+export class History {
+    /**
+     * Creates an instance of History and starts recording. The signal's current value becomes the first entry.
+     * @param {Signal} signal The signal whose writes are recorded.
+     * @param {Object} [options={}] The history options.
+     * @param {number} [options.limit=100] The maximum number of entries kept. The oldest entries are dropped first.
+     */
+    constructor(signal, { limit = 100 } = {}) {
+        this.signal = signal;
+        this.limit = Math.max(1, limit);
+        this.entries = [{ value: signal.value, timestamp: Date.now(), label: undefined }];
+        this.batches = [null];
+        this.pendingLabel = null;
+        this.travelling = false;
+        // Moved with restore rather than write, so a rolled back transaction cannot move it out of step with the entries
+        this.position = new Signal(0);
+
+        const offCommit = signal.onCommit((value) => {
+            if (!this.travelling) {
+                this.record(value);
+            }
+        });
+        const offRestore = signal.onRestore(value => this.rollBack(value));
+        this.stop = () => {
+            offCommit();
+            offRestore();
+        };
+    }
+
+    /**
+     * Stops recording. The entries are kept, but later writes no longer add to them.
+     * Other histories of the same signal keep recording.
+     */
+    detach() {
+        this.stop();
+    }
+
+    /**
+     * The index of the entry holding the signal's current value. Reading it inside an effect or computed signal subscribes to it.
+     * @type {number}
+     */
+    get index() {
+        return this.position.read();
+    }
+
+    /**
+     * True if there is an earlier entry to go back to.
+     * @type {boolean}
+     */
+    get canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * True if there is a later entry to go forward to, i.e. the last steps were undone and nothing was written since.
+     * @type {boolean}
+     */
+    get canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Writes a value to the signal, giving the resulting step a label, e.g. the name of the editor command that made it.
+     * @param {any} value The value to write.
+     * @param {string} [label] The label of the step.
+     * @returns {WriteResult|Promise<WriteResult>} The outcome of the write, as returned by the signal's write method.
+     */
+    write(value, label) {
+        // Every write increments the version, so the label is picked up only by the write that settles with it
+        this.pendingLabel = { version: this.signal.version + 1, label };
+        return this.signal.write(value);
+    }
+
+    /**
+     * Adds an accepted value to the history, or updates the current step if it was made in the same batch.
+     * Discards the steps that were undone, as they can no longer be redone.
+     * @param {any} value The committed value.
+     */
+    record(value) {
+        const label = this.pendingLabel && this.pendingLabel.version === this.signal.version ? this.pendingLabel.label : undefined;
+        const current = this.position.value;
+        const step = activeBatch();
+
+        if (step !== null && this.batches[current] === step && current === this.entries.length - 1) {
+            const entry = this.entries[current];
+            this.entries[current] = { value, timestamp: Date.now(), label: label === undefined ? entry.label : label };
+            return;
+        }
+
+        this.entries.splice(current + 1);
+        this.batches.splice(current + 1);
+        this.entries.push({ value, timestamp: Date.now(), label });
+        this.batches.push(step);
+
+        const overflow = this.entries.length - this.limit;
+        if (overflow > 0) {
+            this.entries.splice(0, overflow);
+            this.batches.splice(0, overflow);
+        }
+        this.position.restore(this.entries.length - 1);
+    }
+
+    /**
+     * Drops the step of a rolled back transaction. Called with the value the signal had before the transaction.
+     * @param {any} value The restored value.
+     */
+    rollBack(value) {
+        const current = this.position.value;
+        if (current > 0 && this.batches[current] === activeBatch() && Object.is(this.entries[current - 1].value, value)) {
+            this.entries.splice(current);
+            this.batches.splice(current);
+            this.position.restore(current - 1);
+        }
+    }
+
+    /**
+     * Restores the value of an entry and makes it the current one. Later entries are kept, so they can be redone.
+     * @param {number} index The index of the entry, 0 being the oldest one kept.
+     * @returns {boolean} True if the signal moved to the entry, false if the index is out of range.
+     */
+    jumpTo(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.entries.length) {
+            return false;
+        }
+        batch(() => {
+            this.travelling = true;
+            try {
+                this.signal.commit(this.entries[index].value);
+            } finally {
+                this.travelling = false;
+            }
+            this.position.restore(index);
+        });
+        return true;
+    }
+
+    /**
+     * Goes back one step.
+     * @returns {boolean} True if a step was undone, false if there was none.
+     */
+    undo() {
+        return this.jumpTo(this.position.value - 1);
+    }
+
+    /**
+     * Goes forward one step after an undo.
+     * @returns {boolean} True if a step was redone, false if there was none.
+     */
+    redo() {
+        return this.jumpTo(this.position.value + 1);
+    }
+
+    /**
+     * Forgets every entry except the current one.
+     */
+    clear() {
+        const current = this.position.value;
+        this.entries = [this.entries[current]];
+        this.batches = [null];
+        this.position.restore(0);
+    }
+}
+
+/**
+ * Starts recording the history of a signal.
+ * @param {Signal} signal The signal whose writes are recorded.
+ * @param {Object} [options={}] The history options. See History.
+ * @returns {History} The history of the signal. Call its detach method to stop recording.
+ */
+export const withHistory = (signal, options = {}) => new History(signal, options);
\ No newline at end of file
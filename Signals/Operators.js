@@ -0,0 +1,340 @@
+import { Signal, Computed } from './Signal.js';
+
+/**
+ * Returns the current value of a signal or computed signal without subscribing the current effect.
+ * @param {Signal|Computed} source The signal.
+ * @returns {any} Its current value.
+ */
+const current = (source) => (source instanceof Computed ? source.peek() : source.value);
+
+/**
+ * A signal derived from other sources. It cannot be written to; its value changes only when its sources do.
+ * Disposing it removes its subscriptions to its sources and stops any pending timers.
+ * @class
+ * @extends Signal
+ */
+export class ReadOnlySignal extends Signal {
+    /**
+     * Creates an instance of ReadOnlySignal.
+     * @param {any} initialValue The initial value.
+     * @param {Object} [options={}] Additional options. See Signal.
+     */
+    constructor(initialValue, options = {}) {
+        super(initialValue, [], [], options);
+        this.teardowns = [];
+        this.error = new Signal(undefined);
+        this.disposed = false;
+    }
+
+    /**
+     * Always throws: the value of a read-only signal is derived from its sources.
+     * @throws {Error} Always.
+     */
+    write() {
+        throw new Error("Cannot write to a read-only signal");
+    }
+
+    /**
+     * Registers a function to run when the signal is disposed, e.g. to unsubscribe from a source.
+     * @param {Function} fn The teardown function.
+     * @returns {ReadOnlySignal} The signal itself.
+     */
+    onDispose(fn) {
+        if (this.disposed) {
+            fn();
+        } else {
+            this.teardowns.push(fn);
+        }
+        return this;
+    }
+
+    /**
+     * Records an error of the source, e.g. a rejected Promise, in the error signal.
+     * @param {Error} error The error.
+     */
+    fail(error) {
+        this.error.commit(error);
+    }
+
+    /**
+     * Stops following the sources. The value stays what it was.
+     */
+    dispose() {
+        if (this.disposed) {
+            return;
+        }
+        this.disposed = true;
+        for (const teardown of this.teardowns.splice(0)) {
+            teardown();
+        }
+    }
+}
+
+/**
+ * Creates a signal holding a transformed value of a source.
+ * @param {Signal|Computed} source The source.
+ * @param {Function} fn Called with each value of the source. Its result becomes the value.
+ * @param {Object} [options={}] Additional options for the new signal. See Signal.
+ * @returns {ReadOnlySignal} The mapped signal.
+ */
+export const map = (source, fn, options = {}) => {
+    const mapped = new ReadOnlySignal(fn(current(source)), options);
+    return mapped.onDispose(source.subscribe(value => mapped.commit(fn(value))));
+};
+
+/**
+ * Creates a signal holding the values of a source that pass a predicate. Values that fail it are skipped,
+ * so the signal keeps the last value that passed.
+ * @param {Signal|Computed} source The source.
+ * @param {Function} predicate Called with each value of the source. Returns true to let it through.
+ * @param {any} [initialValue] The value while the source's current value fails the predicate.
+ * @returns {ReadOnlySignal} The filtered signal.
+ */
+export const filter = (source, predicate, initialValue) => {
+    const value = current(source);
+    const filtered = new ReadOnlySignal(predicate(value) ? value : initialValue);
+    return filtered.onDispose(source.subscribe((next) => {
+        if (predicate(next)) {
+            filtered.commit(next);
+        }
+    }));
+};
+
+/**
+ * Creates a signal that follows a source once it has stopped changing for a while, e.g. a search input.
+ * @param {Signal|Computed} source The source.
+ * @param {number} wait The milliseconds the source must stay unchanged.
+ * @returns {ReadOnlySignal} The debounced signal.
+ */
+export const debounce = (source, wait) => {
+    const debounced = new ReadOnlySignal(current(source));
+    let timer = null;
+    debounced.onDispose(source.subscribe((value) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => debounced.commit(value), wait);
+    }));
+    return debounced.onDispose(() => clearTimeout(timer));
+};
+
+/**
+ * Creates a signal that follows a source at most once per interval. The first change is passed on immediately,
+ * and the latest change made during the interval is passed on when it ends.
+ * @param {Signal|Computed} source The source.
+ * @param {number} wait The length of the interval in milliseconds.
+ * @returns {ReadOnlySignal} The throttled signal.
+ */
+export const throttle = (source, wait) => {
+    const throttled = new ReadOnlySignal(current(source));
+    let timer = null;
+    let trailing = null;
+
+    const open = () => {
+        timer = setTimeout(() => {
+            timer = null;
+            if (trailing !== null) {
+                throttled.commit(trailing.value);
+                trailing = null;
+                open();
+            }
+        }, wait);
+    };
+
+    throttled.onDispose(source.subscribe((value) => {
+        if (timer === null) {
+            throttled.commit(value);
+            open();
+        } else {
+            trailing = { value };
+        }
+    }));
+    return throttled.onDispose(() => clearTimeout(timer));
+};
+
+/**
+ * Creates a signal that follows a source but skips values equal to its current one, using a custom comparator.
+ * @param {Signal|Computed} source The source.
+ * @param {Function} [equals=Object.is] Decides whether two values are equal. See shallowEqual and deepEqual in Equality.js.
+ * @returns {ReadOnlySignal} The distinct signal.
+ */
+export const distinct = (source, equals = Object.is) => map(source, value => value, { equals });
+
+/**
+ * Reads the current values of several sources into an array or object of the same shape.
+ * @param {Signal[]|Object<string, Signal>} sources The sources.
+ * @returns {Array|Object} Their current values.
+ */
+const snapshot = (sources) => (Array.isArray(sources)
+    ? sources.map(current)
+    : Object.fromEntries(Object.entries(sources).map(([key, source]) => [key, current(source)])));
+
+/**
+ * Creates a signal holding the latest values of several sources, updated whenever any of them changes.
+ * @param {Signal[]|Object<string, Signal>} sources The sources, as an array or an object of named sources.
+ * @returns {ReadOnlySignal} A signal holding an array or object of the same shape with the sources' values.
+ * @example
+ * const query = combine({ text: searchText, page: currentPage });
+ * query.subscribe(({ text, page }) => fetchResults(text, page));
+ */
+export const combine = (sources) => {
+    const combined = new ReadOnlySignal(snapshot(sources));
+    for (const source of Object.values(sources)) {
+        combined.onDispose(source.subscribe(() => combined.commit(snapshot(sources))));
+    }
+    return combined;
+};
+
+/**
+ * Creates a signal pairing the changes of several sources in order: it updates once every source has changed again,
+ * with the oldest unpaired change of each. Starts with the sources' current values.
+ * @param {Signal[]} sources The sources.
+ * @returns {ReadOnlySignal} A signal holding an array with one value per source.
+ */
+export const zip = (sources) => {
+    const zipped = new ReadOnlySignal(sources.map(current));
+    const queues = sources.map(() => []);
+    sources.forEach((source, index) => {
+        zipped.onDispose(source.subscribe((value) => {
+            queues[index].push(value);
+            if (queues.every(queue => queue.length > 0)) {
+                zipped.commit(queues.map(queue => queue.shift()));
+            }
+        }));
+    });
+    return zipped;
+};
+
+/**
+ * Iterates over the values of a signal: its current value first, then every change.
+ * Changes made faster than they are consumed are buffered. Breaking out of the loop unsubscribes from the signal.
+ * @param {Signal|Computed} source The signal.
+ * @param {Object} [options={}] The iteration options.
+ * @param {AbortSignal} [options.signal] Ends the iteration when aborted.
+ * @returns {AsyncIterableIterator<any>} The iterator.
+ * @example
+ * for await (const query of toAsyncIterator(searchText)) {
+ *     render(await search(query));
+ * }
+ */
+export const toAsyncIterator = (source, { signal } = {}) => {
+    const buffer = [current(source)];
+    const waiting = [];
+    let done = false;
+
+    const unsubscribe = source.subscribe((value) => {
+        if (waiting.length > 0) {
+            waiting.shift()({ value, done: false });
+        } else {
+            buffer.push(value);
+        }
+    });
+
+    const finish = () => {
+        if (!done) {
+            done = true;
+            unsubscribe();
+            buffer.length = 0;
+            for (const resolve of waiting.splice(0)) {
+                resolve({ value: undefined, done: true });
+            }
+        }
+        return Promise.resolve({ value: undefined, done: true });
+    };
+
+    if (signal) {
+        if (signal.aborted) {
+            finish();
+        } else {
+            signal.addEventListener('abort', finish, { once: true });
+        }
+    }
+
+    return {
+        next: () => {
+            if (buffer.length > 0) {
+                return Promise.resolve({ value: buffer.shift(), done: false });
+            }
+            if (done) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+            return new Promise(resolve => waiting.push(resolve));
+        },
+        return: finish,
+        [Symbol.asyncIterator]() {
+            return this;
+        }
+    };
+};
+
+/**
+ * Creates a signal holding the value a Promise resolves to. If the Promise rejects, the value is left as it was
+ * and the error signal holds the rejection reason.
+ * @param {Promise} promise The Promise.
+ * @param {any} [initialValue] The value until the Promise resolves.
+ * @returns {ReadOnlySignal} The signal.
+ */
+export const fromPromise = (promise, initialValue) => {
+    const derived = new ReadOnlySignal(initialValue);
+    Promise.resolve(promise).then(
+        (value) => {
+            if (!derived.disposed) {
+                derived.commit(value);
+            }
+        },
+        (error) => {
+            if (!derived.disposed) {
+                derived.fail(error);
+            }
+        }
+    );
+    return derived;
+};
+
+/**
+ * Creates a signal holding the latest value produced by an async iterable, e.g. a stream or an async generator.
+ * Disposing the signal stops the iteration. If the iterable throws, the error signal holds the error.
+ * @param {AsyncIterable} iterable The async iterable.
+ * @param {any} [initialValue] The value until the first one is produced.
+ * @returns {ReadOnlySignal} The signal.
+ */
+export const fromAsyncIterable = (iterable, initialValue) => {
+    const derived = new ReadOnlySignal(initialValue);
+    const iterator = iterable[Symbol.asyncIterator]();
+    derived.onDispose(() => {
+        if (typeof iterator.return === 'function') {
+            iterator.return();
+        }
+    });
+
+    const pull = () => iterator.next().then(
+        ({ value, done }) => {
+            if (!done && !derived.disposed) {
+                derived.commit(value);
+                return pull();
+            }
+            return undefined;
+        },
+        (error) => {
+            if (!derived.disposed) {
+                derived.fail(error);
+            }
+        }
+    );
+    pull();
+    return derived;
+};
+
+/**
+ * Creates a signal holding the latest event of a type dispatched by an EventTarget, e.g. a DOM element or an AbortSignal.
+ * @param {EventTarget} target The event target.
+ * @param {string} type The event type, e.g. 'input'.
+ * @param {Object} [options={}] The options.
+ * @param {Function} [options.map] Turns each event into the value, e.g. `event => event.target.value`. Defaults to the event itself.
+ * @param {any} [options.initialValue] The value until the first event.
+ * @returns {ReadOnlySignal} The signal. Disposing it removes the event listener.
+ */
+export const fromEvent = (target, type, { map: toValue = event => event, initialValue } = {}) => {
+    const derived = new ReadOnlySignal(initialValue);
+    const listener = (event) => derived.commit(toValue(event));
+    target.addEventListener(type, listener);
+    return derived.onDispose(() => target.removeEventListener(type, listener));
+};
\ No newline at end of file
@@ -1,3 +1,306 @@
+/**
+ * The stack of effects and computed signals currently being evaluated. It is shared by every signal,
+ * so an observer subscribes to whichever signals it reads, not only to the signal it was created from.
+ * @type {Object[]}
+ */
+const context = [];
+
+/**
+ * The effect whose body is currently running. Effects created while it runs become its children,
+ * and functions passed to onCleanup are registered on it.
+ * @type {Object|null}
+ */
+let owner = null;
+
+/**
+ * Checks whether a value is a Promise or another thenable.
+ * @param {any} value The value to check.
+ * @returns {boolean} True if the value has a then method.
+ */
+export const isThenable = (value) => value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+
+/**
+ * The number of batches currently open. Notifications are deferred while it is greater than zero.
+ * @type {number}
+ */
+let batchDepth = 0;
+
+/**
+ * An object identifying the outermost batch currently open, or null outside of batches.
+ * A fresh object is created for every outermost batch.
+ * @type {Object|null}
+ */
+let currentBatch = null;
+
+/**
+ * Effects and subscriptions waiting to be executed, in the order they were first notified.
+ * A Set, so an observer notified several times is executed only once.
+ * @type {Set<Object>}
+ */
+const pending = new Set();
+
+/**
+ * Computed signals that became stale and have effects or subscriptions depending on them. Before any pending
+ * observer runs, each is recalculated and its dependents are notified only if the value actually changed.
+ * @type {Set<Computed>}
+ */
+const staleComputeds = new Set();
+
+/**
+ * True while pending observers are being executed, so that writes made by an effect are queued
+ * behind it instead of starting a nested flush.
+ * @type {boolean}
+ */
+let flushing = false;
+
+/**
+ * The transactions currently open, outermost first. Each records the value every signal had before
+ * its first write inside the transaction, and the errors of every rejected write.
+ * @type {Object[]}
+ */
+const transactions = [];
+
+/**
+ * Executes pending observers until none are left, after checking every stale computed signal,
+ * so an observer never runs for a computed value that ended up unchanged.
+ */
+const flush = () => {
+    if (flushing) {
+        return;
+    }
+    flushing = true;
+    try {
+        while (staleComputeds.size > 0 || pending.size > 0) {
+            if (staleComputeds.size > 0) {
+                const [stale] = staleComputeds;
+                staleComputeds.delete(stale);
+                stale.refresh();
+                continue;
+            }
+            const [observer] = pending;
+            pending.delete(observer);
+            observer.execute();
+        }
+    } finally {
+        flushing = false;
+    }
+};
+
+/**
+ * Notifies a set of observers that a source changed. Computed signals are marked stale immediately,
+ * so they never serve an outdated value, while effects and subscriptions are queued and executed once
+ * the outermost batch ends. Those of a computed signal are only queued once it is known to have changed.
+ * @param {Set<Object>} observers The subscriptions of the source that changed.
+ */
+const notify = (observers) => {
+    for (const observer of [...observers]) {
+        if (observer instanceof Computed) {
+            observer.execute();
+        } else {
+            pending.add(observer);
+        }
+    }
+    if (batchDepth === 0) {
+        flush();
+    }
+};
+
+/**
+ * Runs a function with notifications deferred until it returns. Effects affected by several writes
+ * inside the batch run only once, after the outermost batch ends, and never observe intermediate states.
+ * @param {Function} fn The function performing the writes.
+ * @returns {any} The value returned by fn.
+ */
+export const batch = (fn) => {
+    if (batchDepth++ === 0) {
+        currentBatch = {};
+    }
+    try {
+        return fn();
+    } finally {
+        batchDepth--;
+        if (batchDepth === 0) {
+            currentBatch = null;
+            flush();
+        }
+    }
+};
+
+/**
+ * Returns an object identifying the outermost batch or transaction currently open, or null outside of one.
+ * Every write made within the same outermost batch sees the same object, so writes can be grouped by it.
+ * Every write settles inside a batch of its own, so a write made outside of any batch gets a fresh object.
+ * @returns {Object|null} The batch identity.
+ */
+export const activeBatch = () => currentBatch;
+
+/**
+ * Runs a function as a batch that is rolled back if any write inside it is rejected by its parsers or validators,
+ * or if the function throws. On rollback every signal written inside the transaction gets its prior value back.
+ * Writes rejected inside a nested transaction also roll back every enclosing transaction.
+ * Only writes that settle synchronously are covered; asynchronous writes commit or reject after the transaction has ended.
+ * @param {Function} fn The function performing the writes.
+ * @returns {{committed: boolean, value: any, errors: WriteError[]}} Whether the writes were kept, the value returned by fn,
+ * and the errors of every rejected write, each with the signal it was written to.
+ * @throws {Error} Rethrows any error thrown by fn, after rolling back.
+ */
+export const transaction = (fn) => {
+    const entry = { log: new Map(), errors: [] };
+    transactions.push(entry);
+    if (batchDepth++ === 0) {
+        currentBatch = {};
+    }
+    let committed = false;
+    try {
+        const value = fn();
+        committed = entry.errors.length === 0;
+        return { committed, value, errors: entry.errors };
+    } finally {
+        transactions.splice(transactions.indexOf(entry), 1);
+        if (!committed) {
+            for (const [signal, previousValue] of entry.log) {
+                signal.restore(previousValue);
+            }
+        }
+        batchDepth--;
+        if (batchDepth === 0) {
+            currentBatch = null;
+            flush();
+        }
+    }
+};
+
+/**
+ * Subscribes the observer currently being evaluated, if any, to the given source,
+ * and records the source so the subscription can be removed before the observer re-runs.
+ * @param {Signal|Computed} source The signal or computed signal being read.
+ */
+const track = (source) => {
+    const observer = context[context.length - 1];
+    if (observer) {
+        source.subscriptions.add(observer);
+        observer.sources.add(source);
+    }
+};
+
+/**
+ * Removes an observer from every source it subscribed to during its last run.
+ * @param {Object} observer The effect or computed signal to unsubscribe.
+ */
+const untrack = (observer) => {
+    for (const source of observer.sources) {
+        source.subscriptions.delete(observer);
+    }
+    observer.sources.clear();
+};
+
+/**
+ * Tears down everything an effect set up during its last run: its child effects, its cleanup callbacks and its subscriptions.
+ * @param {Object} effect The effect to clean up.
+ */
+const cleanupEffect = (effect) => {
+    for (const child of effect.children) {
+        child.dispose();
+    }
+    effect.children.clear();
+
+    const cleanups = effect.cleanups.splice(0);
+    for (const cleanup of cleanups) {
+        cleanup();
+    }
+
+    untrack(effect);
+};
+
+/**
+ * Creates an effect that executes immediately and again whenever any signal or computed signal it read changes.
+ * Dependencies are collected afresh on every run, so a signal that is no longer read no longer triggers the effect.
+ * An effect created inside another effect is disposed together with its parent, and before each re-run of the parent.
+ * @param {Function} fn The function to execute as part of the effect.
+ * @returns {Function} A function that disposes the effect, running its cleanups and removing all of its subscriptions.
+ */
+export const createEffect = (fn) => {
+    const effect = {
+        sources: new Set(),
+        children: new Set(),
+        cleanups: [],
+        parent: owner,
+        disposed: false,
+        execute: () => {
+            if (effect.disposed) {
+                return;
+            }
+            cleanupEffect(effect);
+
+            const previousOwner = owner;
+            owner = effect;
+            context.push(effect);
+            try {
+                fn();
+            } finally {
+                context.pop();
+                owner = previousOwner;
+            }
+        },
+        dispose: () => {
+            if (effect.disposed) {
+                return;
+            }
+            effect.disposed = true;
+            cleanupEffect(effect);
+            if (effect.parent) {
+                effect.parent.children.delete(effect);
+            }
+        }
+    };
+
+    if (effect.parent) {
+        effect.parent.children.add(effect);
+    }
+    effect.execute();
+    return effect.dispose;
+};
+
+/**
+ * Registers a function to run before the current effect re-runs or when it is disposed.
+ * Has no effect when called outside of an effect body.
+ * @param {Function} fn The cleanup function.
+ */
+export const onCleanup = (fn) => {
+    if (owner) {
+        owner.cleanups.push(fn);
+    }
+};
+
+/**
+ * Creates a computed signal whose value is derived from the signals it reads.
+ * @param {Function} fn The function that calculates the value.
+ * @param {Object} [options={}] Additional options. See Computed.
+ * @returns {Computed} The computed signal.
+ */
+export const computed = (fn, options = {}) => new Computed(fn, options);
+
+/**
+ * Describes a single parser or validator failure reported by Signal.write.
+ * @typedef {Object} WriteError
+ * @property {'parser'|'validator'} type Whether a parser threw or a validator failed.
+ * @property {string} name The name of the failing function, or its position in the chain if it is anonymous.
+ * @property {number} index The position of the failing function in its parsers or validators array.
+ * @property {any} message The error message thrown by the parser or returned by the validator.
+ * @property {Error} [error] The error thrown by the parser.
+ * @property {string} [field] The path of the field the failure belongs to, for signals that validate individual fields.
+ */
+
+/**
+ * Describes the outcome of Signal.write.
+ * @typedef {Object} WriteResult
+ * @property {boolean} accepted True if the value passed the parsers and validators and was committed.
+ * @property {boolean} [changed] For accepted writes, false if the value equalled the current one, so subscribers were not notified.
+ * @property {any} value The parsed value, or undefined if parsing failed.
+ * @property {WriteError[]} errors The failures that caused the write to be rejected. Empty when accepted.
+ * @property {boolean} [cancelled] True if an asynchronous write was discarded because a newer write was made before it settled.
+ */
+
 /**
  * Represents a reactive signal for managing and observing state changes with built-in validation and parsing capabilities.
  * @class
@@ -6,47 +309,251 @@ export class Signal {
     /**
      * Creates an instance of Signal.
      * @param {any} initialValue The initial value of the signal.
-     * @param {Function[]} validators An array of validation functions that will check the state before it is updated. Each function should return true for a valid state or an error message string for an invalid state.
-     * @param {Function[]} parsers An array of parsing functions that will process the new value before validation. Each function must return the parsed value or throw an error if parsing fails.
+     * @param {Function[]} validators An array of validation functions that will check the state before it is updated. Each function should return true for a valid state or an error message string for an invalid state, or a Promise of either.
+     * @param {Function[]} parsers An array of parsing functions that will process the new value before validation. Each function must return the parsed value or throw an error if parsing fails, or return a Promise that resolves or rejects accordingly.
+     * @param {Object} [options={}] Additional options.
+     * @param {Function} [options.equals=Object.is] Decides whether a new value equals the current one. Writes of an equal value
+     * keep the current value and notify no one. See shallowEqual and deepEqual in Equality.js.
      */
-    constructor(initialValue, validators = [], parsers = []) {
+    constructor(initialValue, validators = [], parsers = [], options = {}) {
+        const { equals = Object.is } = options;
         this.value = initialValue;
         this.validators = validators;
         this.parsers = parsers;
+        this.equals = equals;
         this.subscriptions = new Set();
-        this.context = [];
+        this.errorHandlers = new Set();
+        this.commitHandlers = new Set();
+        this.restoreHandlers = new Set();
+        this.version = 0;
+        this.controller = null;
+        this.statusSignal = null;
     }
 
     /**
      * Updates the signal's value after parsing and validating the new value. Notifies all subscribers if the update is successful.
+     * If a parser throws or a validator fails, the value is left untouched and every error handler registered through onError is called.
+     *
+     * Parsers and validators may return Promises. In that case the write resolves asynchronously, the status signal reads
+     * 'validating' until it settles, and the write is only committed if no newer write was made in the meantime.
+     * Each parser and validator receives an options object as its last argument whose `signal` is an AbortSignal
+     * that is aborted once the write becomes stale, so in-flight lookups can be cancelled.
      * @param {any} newValue The new value to be set.
+     * @returns {WriteResult|Promise<WriteResult>} The outcome of the write, describing whether it was accepted and which parsers
+     * or validators failed. A Promise if any parser or validator was asynchronous.
      */
     write(newValue) {
-        let value = newValue;
+        const version = ++this.version;
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.controller = typeof AbortController === 'undefined' ? null : new AbortController();
+        const options = { signal: this.controller ? this.controller.signal : undefined };
+
+        const outcome = this.runParsers(newValue, options);
+        if (!isThenable(outcome)) {
+            return this.settle(outcome, version);
+        }
+
+        if (this.status.value !== 'validating') {
+            this.status.write('validating');
+        }
+        return outcome.then(settled => this.settle(settled, version));
+    }
+
+    /**
+     * Discards an asynchronous write that has not settled yet, as a newer write would: its AbortSignal is aborted,
+     * its outcome is not committed, and the status signal goes back to 'idle'. Does nothing if no write is in flight.
+     */
+    cancel() {
+        this.version++;
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+        if (this.statusSignal && this.statusSignal.value !== 'idle') {
+            this.statusSignal.write('idle');
+        }
+    }
+
+    /**
+     * Runs the parsers in order, starting at the given index, then the validators.
+     * Continues asynchronously as soon as a parser returns a Promise.
+     * @param {any} value The value to parse.
+     * @param {Object} options The options passed to every parser and validator.
+     * @param {number} [start=0] The index of the first parser to run.
+     * @returns {{value: any, errors: WriteError[]}|Promise<{value: any, errors: WriteError[]}>} The parsed value and any failures.
+     */
+    runParsers(value, options, start = 0) {
+        for (let index = start; index < this.parsers.length; index++) {
+            const parse = this.parsers[index];
+            const parserError = (error) => ({
+                value: undefined,
+                errors: [{
+                    type: 'parser',
+                    name: parse.name || `parser[${index}]`,
+                    index,
+                    message: error.message,
+                    error
+                }]
+            });
 
-        // Parse the new value
-        for (const parse of this.parsers) {
+            let parsed;
             try {
-                value = parse(value);
+                parsed = parse(value, options);
             } catch (error) {
-                console.error(error.message);
-                return;
+                return parserError(error);
             }
+            if (isThenable(parsed)) {
+                return Promise.resolve(parsed).then(
+                    resolved => this.runParsers(resolved, options, index + 1),
+                    parserError
+                );
+            }
+            value = parsed;
+        }
+
+        const errors = this.runValidators(value, options);
+        return isThenable(errors) ? errors.then(settled => ({ value, errors: settled })) : { value, errors };
+    }
+
+    /**
+     * Runs every validator against the current and the parsed value.
+     * @param {any} value The parsed value to validate.
+     * @param {Object} options The options passed to every validator.
+     * @returns {WriteError[]|Promise<WriteError[]>} The validation failures, as a Promise if any validator was asynchronous.
+     */
+    runValidators(value, options) {
+        return this.collectErrors(this.validators.map((validator, index) => ({
+            validator,
+            index,
+            result: validator(this.value, value, options)
+        })));
+    }
+
+    /**
+     * Turns validator results into WriteError entries, waiting for them first if any is a Promise.
+     * A validator whose Promise rejects fails with the rejection's message.
+     * @param {{validator: Function, index: number, result: any, field: (string|undefined)}[]} checks The validators that ran and what they returned.
+     * @returns {WriteError[]|Promise<WriteError[]>} The validation failures, as a Promise if any validator was asynchronous.
+     */
+    collectErrors(checks) {
+        const collect = (results) => {
+            const errors = [];
+            checks.forEach(({ validator, index, field }, position) => {
+                if (results[position] !== true) {
+                    const error = {
+                        type: 'validator',
+                        name: validator.name || `validator[${index}]`,
+                        index,
+                        message: results[position]
+                    };
+                    if (field !== undefined) {
+                        error.field = field;
+                    }
+                    errors.push(error);
+                }
+            });
+            return errors;
+        };
+
+        const results = checks.map(check => check.result);
+        if (results.some(isThenable)) {
+            return Promise.all(results.map(result => Promise.resolve(result).catch(error => error.message))).then(collect);
+        }
+        return collect(results);
+    }
+
+    /**
+     * Commits or rejects a parsed and validated value, unless a newer write has been made since it started.
+     * @param {{value: any, errors: WriteError[]}} outcome The parsed value and any failures.
+     * @param {number} version The version of the write the outcome belongs to.
+     * @returns {WriteResult} The outcome of the write.
+     */
+    settle({ value, errors }, version) {
+        if (version !== this.version) {
+            return { accepted: false, cancelled: true, value, errors };
+        }
+        this.controller = null;
+
+        return batch(() => {
+            if (this.statusSignal && this.statusSignal.value !== 'idle') {
+                this.statusSignal.write('idle');
+            }
+
+            if (errors.length > 0) {
+                return this.reject(value, errors);
+            }
+
+            // If all validations pass, update the value and notify subscribers
+            const changed = this.commit(value);
+            return { accepted: true, changed, value, errors: [] };
+        });
+    }
+
+    /**
+     * A signal reading 'validating' while an asynchronous write is in flight, and 'idle' otherwise.
+     * Created on first access.
+     * @type {Signal}
+     */
+    get status() {
+        if (!this.statusSignal) {
+            this.statusSignal = new Signal('idle');
         }
+        return this.statusSignal;
+    }
 
-        // Validate the new state
-        const validationResults = this.validators.map(validator => validator(this.value, value));
-        const errors = validationResults.filter(result => result !== true);
-        if (errors.length > 0) {
-            console.error('Validation errors:', errors);
-            return;
+    /**
+     * Sets the value without parsing or validating it and notifies subscribers, unless it equals the current value.
+     * Inside a transaction, the prior value is recorded so it can be restored on rollback.
+     * @param {any} value The already parsed and validated value.
+     * @returns {boolean} True if the value changed, false if it equalled the current one and was skipped.
+     */
+    commit(value) {
+        if (this.equals(this.value, value)) {
+            return false;
+        }
+        for (const entry of transactions) {
+            if (!entry.log.has(this)) {
+                entry.log.set(this, this.value);
+            }
+        }
+        this.value = value;
+        for (const handler of this.commitHandlers) {
+            handler(value);
         }
+        notify(this.subscriptions);
+        return true;
+    }
 
-        // If all validations pass, update the value and notify subscribers
+    /**
+     * Sets the value without parsing or validating it and notifies subscribers, like commit, but without recording the change
+     * in enclosing transactions, so it is kept if they roll back. Used to put back prior values when a transaction rolls back.
+     * @param {any} value The value to set.
+     */
+    restore(value) {
         this.value = value;
-        for (const observer of this.subscriptions) {
-            observer.execute();
+        for (const handler of this.restoreHandlers) {
+            handler(value);
         }
+        notify(this.subscriptions);
+    }
+
+    /**
+     * Builds a rejected write result and reports it to every registered error handler.
+     * @param {any} value The value as far as it was parsed, or undefined if parsing failed.
+     * @param {WriteError[]} errors The parser or validator failures that caused the rejection.
+     * @returns {WriteResult} The rejected write result.
+     */
+    reject(value, errors) {
+        const result = { accepted: false, value, errors };
+        for (const entry of transactions) {
+            entry.errors.push(...errors.map(error => ({ ...error, signal: this })));
+        }
+        for (const handler of this.errorHandlers) {
+            handler(result);
+        }
+        return result;
     }
 
     /**
@@ -54,39 +561,200 @@ export class Signal {
      * @returns {any} The current value of the signal.
      */
     read() {
-        const observer = this.context[this.context.length - 1];
-        if (observer) {
-            this.subscriptions.add(observer);
-        }
+        track(this);
         return this.value;
     }
 
     /**
-     * Creates an effect that reacts to changes in the Signal. The effect will execute immediately and whenever the Signal is written to.
+     * Creates an effect that reacts to changes in the Signal. The effect will execute immediately and whenever the Signal,
+     * or any other signal it reads, is written to.
      * @param {Function} fn The function to execute as part of the effect.
-     * @returns {Object} An effect object with an execute method.
+     * @returns {Function} A function that disposes the effect.
      */
     createEffect(fn) {
+        return createEffect(fn);
+    }
+
+    /**
+     * Subscribes a function to changes in the Signal. The function will be called whenever the Signal's value changes,
+     * with the new and the previous value. Writes inside a batch are reported once, and not at all if the value ends up
+     * equal to the one before the batch.
+     * @param {Function} fn The function to call with (newValue, oldValue) when the Signal updates.
+     * @returns {Function} A function to unsubscribe the passed function from further updates.
+     */
+    subscribe(fn) {
+        let last = this.value;
         const effect = {
             execute: () => {
-                this.context.push(effect);
-                fn();
-                this.context.pop();
+                const previous = last;
+                last = this.value;
+                if (!this.equals(previous, last)) {
+                    fn(last, previous);
+                }
             }
         };
 
-        effect.execute();
-        return effect;
+        this.subscriptions.add(effect);
+        return () => this.subscriptions.delete(effect);
+    }
+
+    /**
+     * Registers a handler that is called whenever a write is rejected by a parser or validator.
+     * @param {Function} fn The function to call with the rejected WriteResult.
+     * @returns {Function} A function to remove the handler.
+     */
+    onError(fn) {
+        this.errorHandlers.add(fn);
+        return () => this.errorHandlers.delete(fn);
+    }
+
+    /**
+     * Registers a handler that is called whenever commit changes the value, right away rather than when subscribers
+     * are notified, so it still sees the batch or transaction the change was made in. See activeBatch.
+     * @param {Function} fn The function to call with the committed value.
+     * @returns {Function} A function to remove the handler.
+     */
+    onCommit(fn) {
+        this.commitHandlers.add(fn);
+        return () => this.commitHandlers.delete(fn);
+    }
+
+    /**
+     * Registers a handler that is called whenever restore puts back a value, e.g. when a transaction rolls back.
+     * @param {Function} fn The function to call with the restored value.
+     * @returns {Function} A function to remove the handler.
+     */
+    onRestore(fn) {
+        this.restoreHandlers.add(fn);
+        return () => this.restoreHandlers.delete(fn);
+    }
+}
+
+/**
+ * Represents a read-only signal whose value is derived from other signals.
+ * The value is calculated lazily on the first read, cached, and recalculated only after one of the signals it read has changed.
+ * @class
+ */
+export class Computed {
+    /**
+     * Creates an instance of Computed.
+     * @param {Function} fn The function that calculates the value. Every signal it reads becomes a dependency.
+     * @param {Object} [options={}] Additional options.
+     * @param {Function} [options.equals=Object.is] Decides whether a recalculated value equals the previous one.
+     * Subscribers are not called when it does.
+     */
+    constructor(fn, options = {}) {
+        const { equals = Object.is } = options;
+        this.fn = fn;
+        this.equals = equals;
+        this.value = undefined;
+        this.dirty = true;
+        this.previous = null;
+        this.subscriptions = new Set();
+        this.sources = new Set();
+    }
+
+    /**
+     * Marks the cached value as stale, and the computed signals depending on it too. Called when a dependency changes.
+     * Effects and subscriptions are notified later by refresh, and only if the recalculated value differs.
+     */
+    execute() {
+        if (!staleComputeds.has(this)) {
+            // What dependents last saw, kept even if the value is recalculated before refresh runs
+            this.previous = this.dirty ? null : { value: this.value };
+        }
+        this.dirty = true;
+        let observed = false;
+        for (const observer of [...this.subscriptions]) {
+            if (observer instanceof Computed) {
+                observer.execute();
+            } else {
+                observed = true;
+            }
+        }
+        if (observed) {
+            staleComputeds.add(this);
+        }
+    }
+
+    /**
+     * Recalculates a stale value and queues the effects and subscriptions depending on it, unless it equals the value
+     * they last saw, e.g. because a transaction was rolled back. Called before pending observers run.
+     */
+    refresh() {
+        const previous = this.previous;
+        this.previous = null;
+        let changed = true;
+        if (previous !== null) {
+            try {
+                changed = !this.equals(previous.value, this.peek());
+            } catch (error) {
+                // Left to the dependents, which get the error when they read the value
+                changed = true;
+            }
+        }
+        if (changed) {
+            for (const observer of this.subscriptions) {
+                if (!(observer instanceof Computed)) {
+                    pending.add(observer);
+                }
+            }
+        }
     }
 
     /**
-     * Subscribes a function to changes in the Signal. The function will be called whenever the Signal's value changes.
-     * @param {Function} fn The function to call when the Signal updates.
+     * Reads the current value, recalculating it first if a dependency has changed.
+     * Automatically subscribes the current effect in context to changes.
+     * @returns {any} The computed value.
+     */
+    read() {
+        track(this);
+        return this.peek();
+    }
+
+    /**
+     * Returns the current value, recalculating it first if a dependency has changed, without subscribing the current effect.
+     * @returns {any} The computed value.
+     */
+    peek() {
+        if (this.dirty) {
+            untrack(this);
+            context.push(this);
+            try {
+                this.value = this.fn();
+            } finally {
+                context.pop();
+            }
+            this.dirty = false;
+        }
+        return this.value;
+    }
+
+    /**
+     * Creates an effect that reacts to changes in the computed value.
+     * @param {Function} fn The function to execute as part of the effect.
+     * @returns {Function} A function that disposes the effect.
+     */
+    createEffect(fn) {
+        return createEffect(fn);
+    }
+
+    /**
+     * Subscribes a function to changes in the computed value. When a dependency updates, the value is recalculated
+     * and the function is called with the new and the previous value, unless they are equal.
+     * @param {Function} fn The function to call with (newValue, oldValue) when the computed value changes.
      * @returns {Function} A function to unsubscribe the passed function from further updates.
      */
     subscribe(fn) {
+        let last = this.peek();
         const effect = {
-            execute: fn
+            execute: () => {
+                const previous = last;
+                last = this.peek();
+                if (!this.equals(previous, last)) {
+                    fn(last, previous);
+                }
+            }
         };
 
         this.subscriptions.add(effect);
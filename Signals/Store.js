@@ -0,0 +1,299 @@
+import { Signal, isThenable } from './Signal.js';
+
+/**
+ * Checks whether a value is a plain object that should be merged key by key rather than replaced.
+ * @param {any} value The value to check.
+ * @returns {boolean} True for object literals and objects without a prototype.
+ */
+const isPlainObject = (value) => {
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Splits a dot-separated path into its keys. The empty path refers to the root.
+ * @param {string} path The path, e.g. 'user.address.city'.
+ * @returns {string[]} The keys along the path.
+ */
+const splitPath = (path) => (path === '' ? [] : path.split('.'));
+
+/**
+ * Reads the value at a path.
+ * @param {Object} state The object to read from.
+ * @param {string} path The dot-separated path.
+ * @returns {any} The value at the path, or undefined if any part of it is missing.
+ */
+export const getPath = (state, path) => {
+    let current = state;
+    for (const key of splitPath(path)) {
+        if (current === null || typeof current !== 'object') {
+            return undefined;
+        }
+        current = current[key];
+    }
+    return current;
+};
+
+/**
+ * Checks whether every key along a path is present.
+ * @param {Object} state The object to check.
+ * @param {string} path The dot-separated path.
+ * @returns {boolean} True if the path exists, even if its value is undefined.
+ */
+const hasPath = (state, path) => {
+    let current = state;
+    for (const key of splitPath(path)) {
+        if (current === null || typeof current !== 'object' || !(key in current)) {
+            return false;
+        }
+        current = current[key];
+    }
+    return true;
+};
+
+/**
+ * Returns a copy of the object with the value at a path replaced. Objects along the path are copied,
+ * every other branch is shared with the original. If the path already holds the value, the object itself is returned.
+ * @param {Object} state The object to update.
+ * @param {string} path The dot-separated path.
+ * @param {any} value The new value.
+ * @returns {Object} The updated copy, or the original.
+ */
+const setPath = (state, path, value) => {
+    const [key, ...rest] = splitPath(path);
+    if (key === undefined) {
+        return value;
+    }
+    const current = isPlainObject(state) ? state : {};
+    const next = setPath(current[key], rest.join('.'), value);
+    if (current === state && key in current && Object.is(current[key], next)) {
+        return state;
+    }
+    return { ...current, [key]: next };
+};
+
+/**
+ * Deeply merges a patch into an object. Plain objects are merged key by key, any other value replaces what was there.
+ * Only the branches the patch changes are copied, so unchanged fields keep their identity,
+ * and a patch that changes nothing returns the current value itself.
+ * @param {any} state The current value.
+ * @param {any} patch The partial value to apply.
+ * @returns {any} The merged value.
+ */
+const merge = (state, patch) => {
+    if (!isPlainObject(patch) || !isPlainObject(state)) {
+        return patch;
+    }
+    let merged = state;
+    for (const [key, value] of Object.entries(patch)) {
+        const next = merge(state[key], value);
+        if (!(key in state) || !Object.is(state[key], next)) {
+            if (merged === state) {
+                merged = { ...state };
+            }
+            merged[key] = next;
+        }
+    }
+    return merged;
+};
+
+/**
+ * Represents a signal holding a record whose fields are parsed, validated and observed individually.
+ *
+ * Fields are configured by their dot-separated path. Field parsers receive the field's value and run whenever the field
+ * is present in a patch. Field validators receive the objects that contain the field, in the same (oldState, newState)
+ * form as the validators in Validators.js, and only run when the field's value changed. Store-level validators passed
+ * as the second argument run on every write and receive the whole record.
+ * @class
+ * @extends Signal
+ */
+export class Store extends Signal {
+    /**
+     * Creates an instance of Store.
+     * @param {Object} [initialValue={}] The initial record.
+     * @param {Function[]} [validators=[]] Validators that run against the whole record on every write.
+     * @param {Function[]} [parsers=[]] Parsers that run against the whole record after the field parsers.
+     * @param {Object} [options={}] Additional options.
+     * @param {Object<string, {parsers: Function[], validators: Function[]}>} [options.fields={}] Parsers and validators keyed by field path.
+     * @param {Function} [options.equals=Object.is] Decides whether a new record equals the current one. See Signal.
+     */
+    constructor(initialValue = {}, validators = [], parsers = [], options = {}) {
+        super(initialValue, validators, parsers, options);
+        const { fields = {} } = options;
+        this.fields = fields;
+        this.fieldParsers = new Map();
+        for (const [path, { parsers: chain = [] }] of Object.entries(fields)) {
+            if (chain.length > 0) {
+                this.fieldParsers.set(path, new Signal(undefined, [], chain));
+            }
+        }
+        this.fieldErrors = new Signal({});
+        this.replacing = false;
+    }
+
+    /**
+     * Merges a partial record into the current value, then parses, validates and commits it.
+     * Errors of the write are also published on the fieldErrors signal, keyed by field path.
+     * Errors of store-level validators are keyed by the empty path.
+     * @param {Object} patch The fields to change. Nested objects are merged, any other value replaces the field.
+     * @returns {WriteResult|Promise<WriteResult>} The outcome of the write. Each error carries the field it belongs to.
+     */
+    write(patch) {
+        const result = super.write(patch);
+        return isThenable(result) ? result.then(settled => this.publishErrors(settled)) : this.publishErrors(result);
+    }
+
+    /**
+     * Replaces the whole record, parsing and validating it like write, but without merging it into the current one,
+     * so fields missing from it are removed. Used to apply a record that is complete, e.g. one received from another tab.
+     * @param {Object} record The new record.
+     * @returns {WriteResult|Promise<WriteResult>} The outcome of the write. Each error carries the field it belongs to.
+     */
+    replace(record) {
+        // Read by runParsers, which Signal.write calls before returning, even for asynchronous writes
+        this.replacing = true;
+        let result;
+        try {
+            result = super.write(record);
+        } finally {
+            this.replacing = false;
+        }
+        return isThenable(result) ? result.then(settled => this.publishErrors(settled)) : this.publishErrors(result);
+    }
+
+    /**
+     * Writes a single field.
+     * @param {string} path The dot-separated path of the field.
+     * @param {any} value The new value of the field.
+     * @returns {WriteResult|Promise<WriteResult>} The outcome of the write.
+     */
+    writeField(path, value) {
+        return this.write(setPath({}, path, value));
+    }
+
+    /**
+     * Reads the current record, or the value of one of its fields.
+     * Automatically subscribes the current effect in context to changes of the record.
+     * @param {string} [path] The dot-separated path of the field to read.
+     * @returns {any} The record, or the value at the path.
+     */
+    read(path) {
+        const value = super.read();
+        return path === undefined ? value : getPath(value, path);
+    }
+
+    /**
+     * Subscribes a function to changes of the record, or to changes of a single field.
+     * A field subscriber is only called when the value at its path changes, with the new and the previous value.
+     * @param {string|Function} path The dot-separated path of the field, or the function to call on any change.
+     * @param {Function} [fn] The function to call when the field changes.
+     * @returns {Function} A function to unsubscribe the passed function from further updates.
+     */
+    subscribe(path, fn) {
+        if (typeof path === 'function') {
+            return super.subscribe(path);
+        }
+
+        let last = getPath(this.value, path);
+        const effect = {
+            execute: () => {
+                const previous = last;
+                last = getPath(this.value, path);
+                if (!Object.is(previous, last)) {
+                    fn(last, previous);
+                }
+            }
+        };
+
+        this.subscriptions.add(effect);
+        return () => this.subscriptions.delete(effect);
+    }
+
+    /**
+     * Merges the patch, runs the parsers of every field present in it, then the store-level parsers and the validators.
+     * While replace is running, the patch is the whole record and is not merged.
+     * @param {Object} patch The partial record to apply.
+     * @param {Object} options The options passed to every parser and validator.
+     * @param {number} [start=0] The index of the first store-level parser to run.
+     * @returns {{value: any, errors: WriteError[]}|Promise<{value: any, errors: WriteError[]}>} The parsed record and any failures.
+     */
+    runParsers(patch, options, start = 0) {
+        if (start > 0) {
+            return super.runParsers(patch, options, start);
+        }
+
+        const merged = this.replacing ? patch : merge(this.value, patch);
+        const paths = [...this.fieldParsers.keys()].filter(path => hasPath(patch, path));
+        const outcomes = paths.map(path => this.fieldParsers.get(path).runParsers(getPath(merged, path), options));
+
+        const assemble = (settled) => {
+            let value = merged;
+            const errors = [];
+            settled.forEach((outcome, position) => {
+                if (outcome.errors.length > 0) {
+                    errors.push(...outcome.errors.map(error => ({ ...error, field: paths[position] })));
+                } else {
+                    value = setPath(value, paths[position], outcome.value);
+                }
+            });
+            return errors.length > 0 ? { value: undefined, errors } : super.runParsers(value, options);
+        };
+
+        if (outcomes.some(isThenable)) {
+            return Promise.all(outcomes).then(assemble);
+        }
+        return assemble(outcomes);
+    }
+
+    /**
+     * Runs the store-level validators, and the validators of every field whose value differs from the current record.
+     * @param {Object} value The parsed record to validate.
+     * @param {Object} options The options passed to every validator.
+     * @returns {WriteError[]|Promise<WriteError[]>} The validation failures, each with the field it belongs to.
+     */
+    runValidators(value, options) {
+        const checks = this.validators.map((validator, index) => ({
+            validator,
+            index,
+            field: '',
+            result: validator(this.value, value, options)
+        }));
+
+        for (const [path, { validators = [] }] of Object.entries(this.fields)) {
+            if (Object.is(getPath(this.value, path), getPath(value, path))) {
+                continue;
+            }
+            const parent = splitPath(path).slice(0, -1).join('.');
+            const oldState = getPath(this.value, parent) || {};
+            const newState = getPath(value, parent) || {};
+            validators.forEach((validator, index) => checks.push({
+                validator,
+                index,
+                field: path,
+                result: validator(oldState, newState, options)
+            }));
+        }
+
+        return this.collectErrors(checks);
+    }
+
+    /**
+     * Publishes the errors of a settled write on the fieldErrors signal. Cancelled writes leave it untouched.
+     * @param {WriteResult} result The outcome of the write.
+     * @returns {WriteResult} The same outcome.
+     */
+    publishErrors(result) {
+        if (!result.cancelled) {
+            const errors = {};
+            for (const error of result.errors) {
+                const field = error.field === undefined ? '' : error.field;
+                (errors[field] = errors[field] || []).push(error.message);
+            }
+            this.fieldErrors.write(errors);
+        }
+        return result;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,145 @@
+/**
+ * Creates a random id for a synchronized signal, used to break ties between writes with the same clock.
+ * @returns {string} The id.
+ */
+const createOrigin = () => (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+
+/**
+ * Compares the stamps of two writes. A higher clock wins; on equal clocks the higher origin wins,
+ * so every peer picks the same winner without further coordination.
+ * @param {{clock: number, origin: string}} a The first stamp.
+ * @param {{clock: number, origin: string}} b The second stamp.
+ * @returns {number} A positive number if a wins, a negative one if b wins, 0 if they are the same write.
+ */
+const compareStamps = (a, b) => {
+    if (a.clock !== b.clock) {
+        return a.clock - b.clock;
+    }
+    return a.origin === b.origin ? 0 : (a.origin > b.origin ? 1 : -1);
+};
+
+/**
+ * Listens for messages on a channel, whichever API it has.
+ * BroadcastChannel and MessagePort expose addEventListener and wrap the data in an event,
+ * while Node's worker_threads ports are EventEmitters that pass the data directly.
+ * @param {Object} channel The BroadcastChannel, MessagePort or worker_threads port.
+ * @param {Function} fn Called with the data of every message.
+ * @returns {Function} A function that stops listening.
+ */
+const listen = (channel, fn) => {
+    if (typeof channel.addEventListener === 'function') {
+        const listener = (event) => fn(event.data);
+        channel.addEventListener('message', listener);
+        if (typeof channel.start === 'function') {
+            channel.start();
+        }
+        return () => channel.removeEventListener('message', listener);
+    }
+    if (typeof channel.on === 'function') {
+        channel.on('message', fn);
+        return () => channel.off('message', fn);
+    }
+    throw new Error("Channel must support addEventListener or on, like BroadcastChannel, MessagePort or a worker_threads port");
+};
+
+/**
+ * Mirrors the accepted writes of a signal to the signals synchronized with it in other tabs, workers or threads.
+ *
+ * Conflicts are resolved with last-writer-wins on logical clocks: every accepted write is stamped with a Lamport clock,
+ * which is always ahead of every write this side has seen, so a write made after seeing another one wins over it.
+ * Concurrent writes with the same clock are ordered by the id of the side that made them.
+ *
+ * Values received from the channel are written with the signal's write method, or replace for a Store, so they are parsed
+ * and validated again by the receiving side's own parsers and validators, and a store ends up with exactly the sender's record. A rejected value is not applied and does not advance the value's stamp.
+ *
+ * On start, a hello message asks the other sides for their state, so a signal joining late catches up with the latest value.
+ * Values are sent with postMessage and must be structured-cloneable.
+ * @param {Signal} signal The signal to synchronize.
+ * @param {BroadcastChannel|MessagePort|Object} channel The channel to the other sides: a BroadcastChannel, a MessagePort,
+ * or a worker_threads port such as parentPort or a Worker.
+ * @param {Object} [options={}] The synchronization options.
+ * @param {string} [options.key='signal'] Identifies the signal on the channel, so several signals can share one channel.
+ * @param {string} [options.origin] A unique id for this side. Defaults to a random id.
+ * @param {Function} [options.onReject] Called with the WriteResult of every received value rejected by this side's validators.
+ * @param {Function} [options.onError] Called with every error thrown while applying a received value, e.g. by a parser,
+ * a validator or onReject. Without it such errors are ignored, so they cannot end a worker as unhandled rejections.
+ * @returns {{origin: string, stamp: Function, dispose: Function}} A handle. `stamp` returns the clock and origin of
+ * the current value, and `dispose` stops synchronizing. The channel is left open.
+ * @example
+ * const channel = new BroadcastChannel('app-state');
+ * const cart = new Store({ items: [] });
+ * const sync = syncSignal(cart, channel, { key: 'cart' });
+ */
+export const syncSignal = (signal, channel, { key = 'signal', origin = createOrigin(), onReject = () => {}, onError = () => {} } = {}) => {
+    let clock = 0;
+    let stamp = { clock: 0, origin: '' };
+    let remote = null;
+
+    const send = (type) => channel.postMessage({ key, type, origin, clock: stamp.clock, writer: stamp.origin, value: signal.value });
+
+    const unsubscribe = signal.subscribe(() => {
+        // A value received from the channel commits with the version of the write that applied it
+        if (remote !== null && remote.version === signal.version) {
+            stamp = remote.stamp;
+            remote = null;
+            return;
+        }
+        clock++;
+        stamp = { clock, origin };
+        send('state');
+    });
+
+    const receive = async (message) => {
+        if (!message || message.key !== key || message.origin === origin) {
+            return;
+        }
+        if (message.type === 'hello') {
+            if (stamp.clock > 0) {
+                send('state');
+            }
+            return;
+        }
+        if (message.type !== 'state') {
+            return;
+        }
+
+        const incoming = { clock: message.clock, origin: message.writer };
+        clock = Math.max(clock, incoming.clock);
+        if (compareStamps(incoming, stamp) <= 0) {
+            return;
+        }
+
+        const pending = { version: signal.version + 1, stamp: incoming };
+        remote = pending;
+        try {
+            // A store would merge the value into its own record and keep fields the sender has removed
+            const result = await (typeof signal.replace === 'function' ? signal.replace(message.value) : signal.write(message.value));
+            if (result.accepted && compareStamps(incoming, stamp) > 0) {
+                stamp = incoming;
+            } else if (!result.accepted && !result.cancelled) {
+                onReject(result);
+            }
+        } catch (error) {
+            onError(error);
+        } finally {
+            // A rejected or unchanged write commits nothing, so the hook never cleared the marker
+            if (remote === pending) {
+                remote = null;
+            }
+        }
+    };
+
+    const stopListening = listen(channel, receive);
+    channel.postMessage({ key, type: 'hello', origin });
+
+    return {
+        origin,
+        stamp: () => ({ ...stamp }),
+        dispose: () => {
+            unsubscribe();
+            stopListening();
+        }
+    };
+};
\ No newline at end of file
@@ -0,0 +1,220 @@
+/**
+ * The built-in messages, keyed by locale and then by error code. Messages are templates whose {name} placeholders
+ * are replaced with the error's parameters, or functions that receive the parameters and return the message.
+ * Every message may use {field}, the field's key, and {label}, its human-readable name.
+ * Codes starting with 'label.' are not messages but labels for fields, e.g. 'label.url' for the field 'url'.
+ * @type {Object<string, Object<string, string|Function>>}
+ */
+export const DEFAULT_MESSAGES = {
+    en: {
+        'string.empty': '{label} cannot be empty.',
+        'string.notAlphanumeric': '{label} must be alphanumeric.',
+        'string.missingPrefix': '{label} must start with "{prefix}".',
+        'required.missing': '{label} is required.',
+        'range.outOfBounds': '{label} must be between {min} and {max}.',
+        'number.notPositive': '{label} must be a positive number.',
+        'number.negative': '{label} cannot be negative.',
+        'length.tooShort': '{label} must be at least {minLength} characters long.',
+        'length.tooLong': '{label} cannot exceed {maxLength} characters.',
+        'array.tooManyItems': '{label} cannot have more than {maxItems} items.',
+        'value.notUnique': '{label} must be unique.',
+        'value.notAllowed': '{label} must be one of {allowedValues}.',
+        'value.notEqual': '{label} must be equal to {compareTo}.',
+        'field.mismatch': '{label} must match {otherLabel}.',
+        'type.notBoolean': '{label} must be a boolean.',
+        'pattern.mismatch': '{label} does not match the required pattern.',
+        'date.invalidFormat': '{label} must be in the format {format}.',
+        'email.invalid': 'Invalid email format.',
+        'password.tooWeak': '{label} must be at least {minLength} characters long, including an uppercase letter, a lowercase letter, and a number.',
+        'phone.invalid': '{label} must be in a valid format.',
+        'url.invalid': '{label} is invalid.',
+        'date.invalid': '{label} must be a valid date in the format {format}: {reason}.',
+        'phone.invalidNumber': '{label} must be a valid international phone number: {reason}.',
+        'phone.countryNotAllowed': '{label} must be a phone number from {countries}.',
+        'url.protocolNotAllowed': '{label} must use one of the protocols {protocols}.',
+        'url.credentialsNotAllowed': '{label} must not contain a user name or password.',
+        'email.invalidAddress': '{label} must be a valid email address: {reason}.',
+        'type.mismatch': ({ label, types }) => `${label} must be of type ${[].concat(types).join(' or ')}.`,
+        'number.tooSmall': '{label} must be at least {min}.',
+        'number.tooLarge': '{label} must be at most {max}.',
+        'object.invalidProperty': '{label}: {reason}',
+        'label.phone': 'Phone number',
+        'label.url': 'URL'
+    }
+};
+
+/**
+ * Describes a failed validation in a form that can be translated, inspected by code, or shown as is.
+ * @typedef {Object} ValidationError
+ * @property {string} code - A stable identifier of the rule that failed and why, e.g. 'range.outOfBounds'.
+ * @property {string} field - The key of the field that failed.
+ * @property {Object} params - The parameters of the rule, e.g. { min, max }, as used by the message.
+ * @property {string} message - The rendered message.
+ */
+
+/**
+ * Turns a field key into a label by capitalizing it, e.g. 'email' into 'Email'.
+ * @param {string} field - The field key.
+ * @returns {string} - The label.
+ */
+const capitalize = (field) => field.charAt(0).toUpperCase() + field.slice(1);
+
+/**
+ * Formats a parameter for a message. Arrays are listed with commas.
+ * @param {any} value - The parameter.
+ * @returns {string} - The text.
+ */
+const formatParam = (value) => (Array.isArray(value) ? value.join(", ") : String(value));
+
+/**
+ * Holds validation messages for several locales and renders them, falling back from a regional locale to its language
+ * and then to a fallback locale when a message is missing.
+ * @class
+ */
+export class MessageCatalog {
+    /**
+     * Creates an instance of MessageCatalog, starting from DEFAULT_MESSAGES.
+     * @param {Object} [options={}] - The catalog options.
+     * @param {Object<string, Object<string, string|Function>>} [options.messages={}] - Messages per locale, added over the defaults.
+     * @param {string} [options.fallbackLocale='en'] - The locale used when neither the requested locale nor its language has a message.
+     */
+    constructor({ messages = {}, fallbackLocale = 'en' } = {}) {
+        this.messages = new Map();
+        this.fallbackLocale = fallbackLocale;
+        for (const [locale, entries] of Object.entries(DEFAULT_MESSAGES)) {
+            this.add(locale, entries);
+        }
+        for (const [locale, entries] of Object.entries(messages)) {
+            this.add(locale, entries);
+        }
+    }
+
+    /**
+     * Adds or replaces messages for a locale.
+     * @param {string} locale - The BCP 47 locale, e.g. 'de' or 'de-CH'.
+     * @param {Object<string, string|Function>} entries - The messages, keyed by error code.
+     * @returns {MessageCatalog} - The catalog itself.
+     */
+    add(locale, entries) {
+        const key = locale.toLowerCase();
+        this.messages.set(key, { ...(this.messages.get(key) || {}), ...entries });
+        return this;
+    }
+
+    /**
+     * Returns the locales searched for a message, e.g. 'de-ch', 'de', then the fallback locale.
+     * @param {string} [locale] - The requested locale.
+     * @returns {string[]} - The locales, most specific first.
+     */
+    chain(locale = this.fallbackLocale) {
+        const parts = locale.toLowerCase().split('-');
+        const locales = parts.map((_, index) => parts.slice(0, parts.length - index).join('-'));
+        return [...new Set([...locales, this.fallbackLocale.toLowerCase()])];
+    }
+
+    /**
+     * Looks up the message for a code.
+     * @param {string} code - The error code.
+     * @param {string} [locale] - The requested locale.
+     * @returns {string|Function|undefined} - The message template, or undefined if no locale in the chain has one.
+     */
+    resolve(code, locale) {
+        for (const candidate of this.chain(locale)) {
+            const entries = this.messages.get(candidate);
+            if (entries && Object.prototype.hasOwnProperty.call(entries, code)) {
+                return entries[code];
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Renders the message for a code with the given parameters. Placeholders without a parameter are left as they are.
+     * @param {string} code - The error code.
+     * @param {Object} [params={}] - The parameters.
+     * @param {string} [locale] - The requested locale.
+     * @returns {string} - The message, or the code itself if no message is found.
+     */
+    format(code, params = {}, locale) {
+        const template = this.resolve(code, locale);
+        if (template === undefined) {
+            return code;
+        }
+        if (typeof template === 'function') {
+            return template(params);
+        }
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? formatParam(params[name]) : placeholder));
+    }
+
+    /**
+     * Returns the human-readable name of a field: from the given labels, from the catalog's 'label.<field>' entry,
+     * or the capitalized key.
+     * @param {string} field - The field key.
+     * @param {Object} [options={}] - The options.
+     * @param {string} [options.locale] - The requested locale.
+     * @param {Object<string, string>|Function} [options.labels={}] - Labels keyed by field, or a function of field and locale returning one.
+     * @returns {string} - The label.
+     */
+    label(field, { locale, labels = {} } = {}) {
+        const given = typeof labels === 'function' ? labels(field, locale) : labels[field];
+        if (given !== undefined) {
+            return given;
+        }
+        const entry = this.resolve(`label.${field}`, locale);
+        return typeof entry === 'string' ? entry : capitalize(field);
+    }
+
+    /**
+     * Renders the message of a validation error, e.g. to show an error again after the locale changed.
+     * Besides the error's parameters, the message receives field and label, and otherLabel when there is an otherField parameter.
+     * @param {{code: string, field: string, params: Object}} error - The error.
+     * @param {Object} [options={}] - The options.
+     * @param {string} [options.locale] - The requested locale.
+     * @param {Object<string, string>|Function} [options.labels] - The field labels. See label.
+     * @returns {string} - The message.
+     */
+    render({ code, field, params = {} }, options = {}) {
+        const values = { ...params, field, label: this.label(field, options) };
+        if (typeof params.otherField === 'string') {
+            values.otherLabel = this.label(params.otherField, options);
+        }
+        return this.format(code, values, options.locale);
+    }
+}
+
+/**
+ * The catalog validators use when none is given, holding only DEFAULT_MESSAGES. Messages added to it apply everywhere.
+ * @type {MessageCatalog}
+ */
+export const defaultCatalog = new MessageCatalog();
+
+/**
+ * Wraps a validator so that its messages are rendered in a locale, with human labels, or returned as ValidationError objects.
+ * The wrapper passes these settings to the validator as part of its third argument, next to what the caller passes,
+ * e.g. the AbortSignal given by Signal.write.
+ * @param {Function} validator - A validator from Validators.js, or any validator that reads these settings.
+ * @param {Object} [options={}] - The settings.
+ * @param {MessageCatalog} [options.catalog=defaultCatalog] - The catalog to render messages from.
+ * @param {string|Function} [options.locale] - The locale, or a function returning it on every call, e.g. reading a signal.
+ * @param {Object<string, string>|Function} [options.labels] - The field labels. See MessageCatalog.label.
+ * @param {boolean} [options.structured=false] - Return ValidationError objects instead of message strings.
+ * @returns {Function} - The wrapped validator, with the same name and rule as the original.
+ * @example
+ * const catalog = new MessageCatalog({ messages: { de: { 'range.outOfBounds': '{label} muss zwischen {min} und {max} liegen.' } } });
+ * const age = localize(rangeValidator('age', 0, 150), { catalog, locale: 'de-CH', labels: { age: 'Alter' } });
+ * age({}, { age: 200 }); // 'Alter muss zwischen 0 und 150 liegen.'
+ */
+export const localize = (validator, { catalog = defaultCatalog, locale, labels, structured = false } = {}) => {
+    const localized = (oldState, newState, context = {}) => validator(oldState, newState, {
+        ...context,
+        catalog,
+        locale: typeof locale === 'function' ? locale() : locale,
+        labels,
+        structured
+    });
+    Object.defineProperty(localized, 'name', { value: validator.name });
+    if (validator.rule !== undefined) {
+        localized.rule = validator.rule;
+    }
+    return localized;
+};
\ No newline at end of file
@@ -1,12 +1,42 @@
+import { defaultCatalog } from './Messages.js';
+import { parseDateFormat } from '../Parsing/DateFormat.js';
+
+/**
+ * Attaches a description of the rule a validator enforces, so that validators can be inspected after they are composed,
+ * for example to export them as JSON Schema.
+ * @param {Object} rule The rule, with a type naming the validator factory and the arguments it was created with.
+ * @param {Function} validator The validator function.
+ * @returns {Function} The same validator, with the rule available as its rule property.
+ */
+export const describe = (rule, validator) => Object.assign(validator, { rule });
+
+/**
+ * Reports a failed validation as the validator's caller asked for it in the context, the validator's third argument:
+ * as a message string by default, or as a ValidationError if context.structured is set.
+ * Messages come from context.catalog, or the default English catalog, rendered for context.locale with context.labels.
+ * See localize in Messages.js for setting these up.
+ * @param {Object} [context={}] - The context the validator was called with.
+ * @param {string} code - The error code, e.g. 'range.outOfBounds'.
+ * @param {string} field - The key of the field that failed.
+ * @param {Object} [params={}] - The parameters of the rule.
+ * @param {string} [message] - A message to use instead of the catalog's, e.g. a custom one given to the validator factory.
+ * @returns {string|ValidationError} - The message or the structured error.
+ */
+export const fail = ({ catalog = defaultCatalog, locale, labels, structured = false } = {}, code, field, params = {}, message) => {
+    const error = { code, field, params, message: message !== undefined ? message : catalog.render({ code, field, params }, { locale, labels }) };
+    return structured ? error : error.message;
+};
+
 /**
  * Validates that the 'name' field in the newState object is not empty after trimming whitespace.
  * @param {Object} oldState - The previous state of the object.
  * @param {Object} newState - The new state of the object to validate.
- * @returns {string|boolean} - Returns an error message if validation fails, or true if validation passes.
+ * @param {Object} [context] - How to report failures. See localize in Messages.js.
+ * @returns {string|ValidationError|boolean} - Returns an error message if validation fails, or true if validation passes.
  */
-export const nonEmptyNameValidator = (oldState, newState) => {
+export const nonEmptyNameValidator = (oldState, newState, context) => {
     if ("name" in newState && newState.name.trim() === "") {
-        return "Name cannot be empty.";
+        return fail(context, 'string.empty', 'name');
     }
     return true;
 };
@@ -15,26 +45,29 @@ export const nonEmptyNameValidator = (oldState, newState) => {
  * Validates that the 'age' field in the newState object is within the range 0 to 150.
  * @param {Object} oldState - The previous state of the object.
  * @param {Object} newState - The new state of the object to validate.
- * @returns {string|boolean} - Returns an error message if validation fails, or true if validation passes.
+ * @param {Object} [context] - How to report failures. See localize in Messages.js.
+ * @returns {string|ValidationError|boolean} - Returns an error message if validation fails, or true if validation passes.
  */
-export const ageRangeValidator = (oldState, newState) => {
+export const ageRangeValidator = (oldState, newState, context) => {
     if ("age" in newState && (newState.age < 0 || newState.age > 150)) {
-        return "Age must be between 0 and 150.";
+        return fail(context, 'range.outOfBounds', 'age', { min: 0, max: 150 });
     }
     return true;
 };
 
 /**
  * Validates that the 'email' field in the newState object matches a simple email format.
+ * See rfc5322EmailValidator in FormatValidators.js for a check grounded in the standard.
  * @param {Object} oldState - The previous state of the object.
  * @param {Object} newState - The new state of the object to validate.
- * @returns {string|boolean} - Returns an error message if validation fails, or true if validation passes.
+ * @param {Object} [context] - How to report failures. See localize in Messages.js.
+ * @returns {string|ValidationError|boolean} - Returns an error message if validation fails, or true if validation passes.
  */
-export const emailValidator = (oldState, newState) => {
+export const emailValidator = (oldState, newState, context) => {
     if ("email" in newState) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/; // Simple regex for email validation
         if (!emailRegex.test(newState.email)) {
-            return "Invalid email format.";
+            return fail(context, 'email.invalid', 'email');
         }
     }
     return true;
@@ -45,34 +78,35 @@ export const emailValidator = (oldState, newState) => {
  * @param {string} field - The name of the field to validate.
  * @returns {Function} - Returns a validator function configured for the specified field.
  */
-export const positiveNumberValidator = (field) => (oldState, newState) => {
+export const positiveNumberValidator = (field) => describe({ type: 'positiveNumber', field }, (oldState, newState, context) => {
     if (field in newState && newState[field] <= 0) {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} must be a positive number.`;
+        return fail(context, 'number.notPositive', field);
     }
     return true;
-};
+});
 
 /**
  * Validates that all specified fields are present in either the oldState or newState object.
  * @param {string[]} fields - An array of field names that are required.
  * @returns {Function} - Returns a validator function configured for the specified fields.
  */
-export const requiredFieldsValidator = (fields) => (oldState, newState) => {
+export const requiredFieldsValidator = (fields) => describe({ type: 'requiredFields', fields }, (oldState, newState, context) => {
     for (const field of fields) {
         if (!(field in newState) && !(field in oldState)) {
-            return `${field.charAt(0).toUpperCase() + field.slice(1)} is required.`;
+            return fail(context, 'required.missing', field);
         }
     }
     return true;
-};
+});
 
 /**
  * Validates that the 'password' field in the newState object meets certain strength criteria.
  * @param {Object} oldState - The previous state of the object.
  * @param {Object} newState - The new state of the object to validate.
- * @returns {string|boolean} - Returns an error message if validation fails, or true if validation passes.
+ * @param {Object} [context] - How to report failures. See localize in Messages.js.
+ * @returns {string|ValidationError|boolean} - Returns an error message if validation fails, or true if validation passes.
  */
-export const passwordStrengthValidator = (oldState, newState) => {
+export const passwordStrengthValidator = (oldState, newState, context) => {
     if ("password" in newState) {
         const password = newState.password;
         const hasUppercase = /[A-Z]/.test(password);
@@ -81,7 +115,7 @@ export const passwordStrengthValidator = (oldState, newState) => {
         const minLength = password.length >= 8;
 
         if (!hasUppercase || !hasLowercase || !hasNumber || !minLength) {
-            return "Password must be at least 8 characters long, including an uppercase letter, a lowercase letter, and a number.";
+            return fail(context, 'password.tooWeak', 'password', { minLength: 8 });
         }
     }
     return true;
@@ -93,35 +127,29 @@ export const passwordStrengthValidator = (oldState, newState) => {
  * @param {number} maxLength - The maximum allowed length for the field.
  * @returns {Function} - Returns a validator function configured for the specified field and length.
  */
-export const maxLengthValidator = (field, maxLength) => (oldState, newState) => {
+export const maxLengthValidator = (field, maxLength) => describe({ type: 'maxLength', field, maxLength }, (oldState, newState, context) => {
     if (field in newState && newState[field].length > maxLength) {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} cannot exceed ${maxLength} characters.`;
+        return fail(context, 'length.tooLong', field, { maxLength });
     }
     return true;
-};
+});
 
 /**
- * Validates that the 'date' field in the newState object matches a specified date format.
- * @param {string} format - The date format to validate against.
+ * Validates that the 'date' field in the newState object matches a specified date format and exists in the calendar,
+ * so "2023-02-30" fails for 'YYYY-MM-DD'. See calendarDateValidator in FormatValidators.js for other fields and locales.
+ * @param {string} format - The date format to validate against, e.g. 'YYYY-MM-DD' or 'MM/DD/YYYY'. See parseDateFormat in DateFormat.js.
  * @returns {Function} - Returns a validator function configured for the specified format.
  */
-export const dateFormatValidator = (format) => (oldState, newState) => {
+export const dateFormatValidator = (format) => describe({ type: 'dateFormat', field: 'date', format }, (oldState, newState, context) => {
     if ("date" in newState) {
-        const date = newState.date;
-
-        // Implement a simple date format check, e.g., YYYY-MM-DD
-        const formatRegex = {
-            "YYYY-MM-DD": /^\d{4}-\d{2}-\d{2}$/,
-            "MM/DD/YYYY": /^\d{2}\/\d{2}\/\d{4}$/,
-            // Add other formats as needed
-        }[format];
-
-        if (!formatRegex || !formatRegex.test(date)) {
-            return `Date must be in the format ${format}.`;
+        try {
+            parseDateFormat(newState.date, format);
+        } catch (error) {
+            return fail(context, 'date.invalidFormat', 'date', { format });
         }
     }
     return true;
-};
+});
 
 /**
  * Validates that a specified field in the newState object is unique compared to existing values.
@@ -129,25 +157,27 @@ export const dateFormatValidator = (format) => (oldState, newState) => {
  * @param {Array} existingValues - An array of values to check against for uniqueness.
  * @returns {Function} - Returns a validator function configured for the specified field and existing values.
  */
-export const uniqueValueValidator = (field, existingValues) => (oldState, newState) => {
+export const uniqueValueValidator = (field, existingValues) => describe({ type: 'uniqueValue', field, existingValues }, (oldState, newState, context) => {
     if (field in newState) {
         const value = newState[field];
         const currentValues = [...existingValues, oldState[field]].filter((v) => v !== undefined);
 
         if (currentValues.includes(value)) {
-            return `${field.charAt(0).toUpperCase() + field.slice(1)} must be unique.`;
+            return fail(context, 'value.notUnique', field);
         }
     }
     return true;
-};
+});
 
 /**
- * Validates that the 'phone' field in the newState object matches a valid phone number format.
+ * Validates that the 'phone' field in the newState object matches a valid US phone number format.
+ * See e164PhoneValidator in FormatValidators.js for international numbers.
  * @param {Object} oldState - The previous state of the object.
  * @param {Object} newState - The new state of the object to validate.
- * @returns {string|boolean} - Returns an error message if validation fails, or true if validation passes.
+ * @param {Object} [context] - How to report failures. See localize in Messages.js.
+ * @returns {string|ValidationError|boolean} - Returns an error message if validation fails, or true if validation passes.
  */
-export const phoneNumberValidator = (oldState, newState) => {
+export const phoneNumberValidator = (oldState, newState, context) => {
     if ("phone" in newState) {
         const phone = newState.phone;
 
@@ -155,7 +185,7 @@ export const phoneNumberValidator = (oldState, newState) => {
         const phoneRegex = /^(?:\(\d{3}\)\s|\d{3}-)\d{3}-\d{4}$/;
 
         if (!phoneRegex.test(phone)) {
-            return "Phone number must be in a valid format.";
+            return fail(context, 'phone.invalid', 'phone');
         }
     }
     return true;
@@ -167,12 +197,12 @@ export const phoneNumberValidator = (oldState, newState) => {
  * @param {number} minLength - The minimum allowed length for the field.
  * @returns {Function} - Returns a validator function configured for the specified field and length.
  */
-export const minLengthValidator = (field, minLength) => (oldState, newState) => {
+export const minLengthValidator = (field, minLength) => describe({ type: 'minLength', field, minLength }, (oldState, newState, context) => {
     if (field in newState && newState[field].length < minLength) {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} must be at least ${minLength} characters long.`;
+        return fail(context, 'length.tooShort', field, { minLength });
     }
     return true;
-};
+});
 
 /**
  * Validates that a specified field in the newState object falls within a specified numeric range.
@@ -181,39 +211,41 @@ export const minLengthValidator = (field, minLength) => (oldState, newState) =>
  * @param {number} max - The maximum allowed value for the field.
  * @returns {Function} - Returns a validator function configured for the specified field and range.
  */
-export const rangeValidator = (field, min, max) => (oldState, newState) => {
+export const rangeValidator = (field, min, max) => describe({ type: 'range', field, min, max }, (oldState, newState, context) => {
     if (field in newState && (newState[field] < min || newState[field] > max)) {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} must be between ${min} and ${max}.`;
+        return fail(context, 'range.outOfBounds', field, { min, max });
     }
     return true;
-};
+});
 
 /**
  * Validates that a specified field in the newState object contains only alphanumeric characters.
  * @param {string} field - The name of the field to validate.
  * @returns {Function} - Returns a validator function configured for the specified field.
  */
-export const alphanumericValidator = (field) => (oldState, newState) => {
+export const alphanumericValidator = (field) => describe({ type: 'alphanumeric', field }, (oldState, newState, context) => {
     if (field in newState) {
         const alphanumericRegex = /^[a-zA-Z0-9]+$/;
         if (!alphanumericRegex.test(newState[field])) {
-            return `${field.charAt(0).toUpperCase() + field.slice(1)} must be alphanumeric.`;
+            return fail(context, 'string.notAlphanumeric', field);
         }
     }
     return true;
-};
+});
 
 /**
  * Validates that the 'url' field in the newState object matches a valid URL format.
+ * See whatwgUrlValidator in FormatValidators.js for URLs with ports, query strings or international host names.
  * @param {Object} oldState - The previous state of the object.
  * @param {Object} newState - The new state of the object to validate.
- * @returns {string|boolean} - Returns an error message if validation fails, or true if validation passes.
+ * @param {Object} [context] - How to report failures. See localize in Messages.js.
+ * @returns {string|ValidationError|boolean} - Returns an error message if validation fails, or true if validation passes.
  */
-export const urlValidator = (oldState, newState) => {
+export const urlValidator = (oldState, newState, context) => {
     if ("url" in newState) {
         const urlRegex = /^(https?:\/\/)?([\da-z.-]+)\.([a-z.]{2,6})(\/[\w.-]*)*\/?$/;
         if (!urlRegex.test(newState.url)) {
-            return "URL is invalid.";
+            return fail(context, 'url.invalid', 'url');
         }
     }
     return true;
@@ -225,12 +257,12 @@ export const urlValidator = (oldState, newState) => {
  * @param {Array} allowedValues - An array of allowed values for the field.
  * @returns {Function} - Returns a validator function configured for the specified field and allowed values.
  */
-export const oneOfValidator = (field, allowedValues) => (oldState, newState) => {
+export const oneOfValidator = (field, allowedValues) => describe({ type: 'oneOf', field, allowedValues }, (oldState, newState, context) => {
     if (field in newState && !allowedValues.includes(newState[field])) {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} must be one of ${allowedValues.join(", ")}.`;
+        return fail(context, 'value.notAllowed', field, { allowedValues });
     }
     return true;
-};
+});
 
 /**
  * Validates that a specified field in the newState object is equal to a given value.
@@ -238,26 +270,28 @@ export const oneOfValidator = (field, allowedValues) => (oldState, newState) =>
  * @param {*} compareTo - The value to compare against.
  * @returns {Function} - Returns a validator function configured for the specified field and comparison value.
  */
-export const equalValidator = (field, compareTo) => (oldState, newState) => {
+export const equalValidator = (field, compareTo) => describe({ type: 'equal', field, compareTo }, (oldState, newState, context) => {
     if (field in newState && newState[field] !== compareTo) {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} must be equal to ${compareTo}.`;
+        return fail(context, 'value.notEqual', field, { compareTo });
     }
     return true;
-};
+});
 
 /**
  * Validates that a specified field in the newState object matches a given regular expression.
  * @param {string} field - The name of the field to validate.
  * @param {RegExp} regex - The regular expression to validate against.
- * @param {string} [errorMessage] - An optional custom error message to return if validation fails.
+ * @param {string} [errorMessage] - An optional custom error message to return if validation fails, used in every locale.
+ * Without one, or if it is empty, the catalog's 'pattern.mismatch' message is used.
  * @returns {Function} - Returns a validator function configured for the specified field and regex.
  */
-export const regexValidator = (field, regex, errorMessage) => (oldState, newState) => {
+export const regexValidator = (field, regex, errorMessage) => describe({ type: 'regex', field, regex }, (oldState, newState, context) => {
     if (field in newState && !regex.test(newState[field])) {
-        return errorMessage || `${field.charAt(0).toUpperCase() + field.slice(1)} does not match the required pattern.`;
+        // An empty message would read as no error at all, so it falls back to the catalog like a missing one
+        return fail(context, 'pattern.mismatch', field, { regex }, errorMessage || undefined);
     }
     return true;
-};
+});
 
 /**
  * Validates that a specified field in the newState object does not exceed a maximum number of items.
@@ -265,24 +299,24 @@ export const regexValidator = (field, regex, errorMessage) => (oldState, newStat
  * @param {number} maxItems - The maximum number of items allowed for the field.
  * @returns {Function} - Returns a validator function configured for the specified field and item limit.
  */
-export const maxItemsValidator = (field, maxItems) => (oldState, newState) => {
+export const maxItemsValidator = (field, maxItems) => describe({ type: 'maxItems', field, maxItems }, (oldState, newState, context) => {
     if (field in newState && Array.isArray(newState[field]) && newState[field].length > maxItems) {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} cannot have more than ${maxItems} items.`;
+        return fail(context, 'array.tooManyItems', field, { maxItems });
     }
     return true;
-};
+});
 
 /**
  * Validates that a specified field in the newState object is not negative.
  * @param {string} field - The name of the field to validate.
  * @returns {Function} - Returns a validator function configured for the specified field.
  */
-export const nonNegativeValidator = (field) => (oldState, newState) => {
+export const nonNegativeValidator = (field) => describe({ type: 'nonNegative', field }, (oldState, newState, context) => {
     if (field in newState && newState[field] < 0) {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} cannot be negative.`;
+        return fail(context, 'number.negative', field);
     }
     return true;
-};
+});
 
 /**
  * Validates that a specified field in the newState object matches the value of another field.
@@ -290,24 +324,24 @@ export const nonNegativeValidator = (field) => (oldState, newState) => {
  * @param {string} otherField - The name of the other field to compare against.
  * @returns {Function} - Returns a validator function configured for the specified fields.
  */
-export const matchOtherFieldValidator = (field, otherField) => (oldState, newState) => {
+export const matchOtherFieldValidator = (field, otherField) => describe({ type: 'matchOtherField', field, otherField }, (oldState, newState, context) => {
     if (field in newState && newState[field] !== oldState[otherField] && newState[field] !== newState[otherField]) {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} must match ${otherField.charAt(0).toUpperCase() + otherField.slice(1)}.`;
+        return fail(context, 'field.mismatch', field, { otherField });
     }
     return true;
-};
+});
 
 /**
  * Validates that a specified field in the newState object is a boolean.
  * @param {string} field - The name of the field to validate.
  * @returns {Function} - Returns a validator function configured for the specified field.
  */
-export const isBooleanValidator = (field) => (oldState, newState) => {
+export const isBooleanValidator = (field) => describe({ type: 'isBoolean', field }, (oldState, newState, context) => {
     if (field in newState && typeof newState[field] !== "boolean") {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} must be a boolean.`;
+        return fail(context, 'type.notBoolean', field);
     }
     return true;
-};
+});
 
 /**
  * Validates that a specified field in the newState object starts with a given prefix.
@@ -315,9 +349,9 @@ export const isBooleanValidator = (field) => (oldState, newState) => {
  * @param {string} prefix - The prefix that the field value must start with.
  * @returns {Function} - Returns a validator function configured for the specified field and prefix.
  */
-export const startsWithValidator = (field, prefix) => (oldState, newState) => {
+export const startsWithValidator = (field, prefix) => describe({ type: 'startsWith', field, prefix }, (oldState, newState, context) => {
     if (field in newState && !newState[field].startsWith(prefix)) {
-        return `${field.charAt(0).toUpperCase() + field.slice(1)} must start with "${prefix}".`;
+        return fail(context, 'string.missingPrefix', field, { prefix });
     }
     return true;
-};
\ No newline at end of file
+});
\ No newline at end of file
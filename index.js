@@ -1,4 +1,5 @@
 import { AOPToolkit } from './AOP/AOPToolkit.js';
+import { Tracer, ConsoleExporter, tracing } from './AOP/Tracing.js';
 import { nonEmptyNameValidator, ageRangeValidator, emailValidator, positiveNumberValidator, requiredFieldsValidator,
     passwordStrengthValidator, maxLengthValidator, dateFormatValidator, uniqueValueValidator, phoneNumberValidator,
     minLengthValidator, rangeValidator, alphanumericValidator, urlValidator, oneOfValidator, equalValidator,
@@ -18,31 +19,19 @@ signal.write = AOPToolkit.before(signal.write, logAdvice);
 // Ensure the log correctly captures the value
 signal.write(20); // Logs "Signal will update with value: 20"
 
-const parseAndValidateName = (args) => {
-    // Apply string parsing before setting the name
-    const parsedName = stringParser(args);
-    // Ensure args is defined after parsing
-    if (!parsedName) {
-        throw new Error("Name must be provided and must not be empty.");
-    }
-    // Validate the parsed name
-    const validationResult = nonEmptyNameValidator({}, { name: parsedName });
-    if (validationResult !== true) {
-        throw new Error(validationResult);
-    }
-    return parsedName; // Return the validated, parsed name for further use
-};
-
 // Modify the setName function to accept the processed name directly
 const setName = (processedName) => {
     console.log(`Name set to ${processedName}`);
 };
 
-// Wrap setName with parsing and validation
-const validatedAndParsedSetName = AOPToolkit.before(setName, parseAndValidateName);
+// Wrap setName with parsing and validation: the name is trimmed and parsed with stringParser,
+// then checked by nonEmptyNameValidator before setName receives it
+const validatedAndParsedSetName = AOPToolkit.validate(setName, {
+    args: [{ name: 'name', parsers: [trimParser, stringParser], validators: [nonEmptyNameValidator] }]
+});
 
 validatedAndParsedSetName("   John Doe   "); // Works fine and logs "Name set to john doe"
-// validatedAndParsedSetName(" "); // Throws Error: Name must be provided and must not be empty.
+// validatedAndParsedSetName(" "); // Throws ArgumentValidationError: Name cannot be empty.
 
 const processData = (data) => {
     if (!data) {
@@ -58,15 +47,14 @@ const handleError = (error) => {
 const safeSetName = AOPToolkit.afterThrowing(validatedAndParsedSetName, handleError);
 
 safeSetName("   Jane Doe   "); // Works fine and logs "Name set to jane doe"
-//safeSetName(""); // Logs "Error occurred: Name must be provided and must not be empty."
+//safeSetName(""); // Logs "Error occurred: Name cannot be empty."
 
 // Wrap processData to handle errors
 const safeProcessData = AOPToolkit.afterThrowing(processData, handleError);
 
 // safeProcessData(null); // Logs "Error occurred: No data provided" and re-throws the error
 
-const startTimer = () => console.time("ExecutionTime");
-const endTimer = () => console.timeEnd("ExecutionTime");
+const tracer = new Tracer({ exporters: [new ConsoleExporter()] });
 
 const compute = () => {
     // Simulate a heavy computation
@@ -74,12 +62,8 @@ const compute = () => {
     console.log("Computation completed");
 };
 
-// Wrap compute to measure execution time
-const timedCompute = AOPToolkit.around(compute, (targetFunction, args) => {
-    startTimer();
-    const result = targetFunction.apply(this, args);
-    endTimer();
-    return result;
-});
+// Trace compute: each call is recorded as a span and printed with its duration
+const tracedCompute = tracing({ tracer }).apply(compute);
 
-timedCompute();
\ No newline at end of file
+tracedCompute(); // Logs "compute 1.23ms ok"
+console.log(tracer.metrics().compute.calls); // 1
\ No newline at end of file